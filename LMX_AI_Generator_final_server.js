@@ -5,9 +5,17 @@
 
 /* =================  CORE IMPORTS  ================= */
 
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const net = require("net");
+const { EventEmitter } = require("events");
 const express = require("express");
 const cors = require("cors");
+const multer = require("multer");
+const sharp = require("sharp");
 const OpenAI = require("openai");
+const { toFile } = require("openai");
 // Optional future wiring for billing and DB:
 const Stripe = require("stripe");
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -27,14 +35,147 @@ if (!process.env.OPENAI_API_KEY) {
 // Text model for captions / hashtags (does NOT touch your image model)
 const TEXT_MODEL = process.env.LMX_TEXT_MODEL || "gpt-4o-mini";
 
+/* =================  DATA STORE (PLUGGABLE ADAPTER)  ================= */
+
+// Tiny key/value store used for server-owned state (credit ledger, etc.).
+// LMX_STORE_DRIVER = "file" (default, JSON files on disk) | "memory" (tests / throwaway)
+// LMX_DATA_DIR     = folder for the JSON files (default ./data)
+// A Supabase / SQL adapter only needs to implement the same async methods.
+const STORE_DRIVER = (process.env.LMX_STORE_DRIVER || "file").toLowerCase();
+const DATA_DIR = process.env.LMX_DATA_DIR || path.join(__dirname, "data");
+
+function createMemoryStore() {
+  const rows = new Map();
+
+  return {
+    async get(key) {
+      return rows.has(key) ? rows.get(key) : null;
+    },
+    async set(key, value) {
+      rows.set(key, value);
+      return value;
+    },
+    // updater receives the current value (or null) and returns the next one.
+    // Runs synchronously, so read-modify-write is atomic inside one process.
+    async update(key, updater) {
+      const next = updater(rows.has(key) ? rows.get(key) : null);
+      rows.set(key, next);
+      return next;
+    },
+    async delete(key) {
+      return rows.delete(key);
+    },
+    async values() {
+      return Array.from(rows.values());
+    },
+    _rows: rows,
+  };
+}
+
+function createFileStore(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  const store = createMemoryStore();
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    for (const [key, value] of Object.entries(saved || {})) {
+      store._rows.set(key, value);
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.error(`❌ Could not load store "${name}":`, err.message);
+    }
+  }
+
+  // Writes are coalesced: every change in the same tick becomes one async
+  // write of the file. Temp file then rename, so a crash never leaves half a
+  // JSON file; pending changes are written synchronously on exit.
+  let dirty = false;
+  let writing = null;
+
+  function persist() {
+    dirty = true;
+    if (!writing) writing = flush();
+  }
+
+  async function flush() {
+    await new Promise((resolve) => setImmediate(resolve));
+    while (dirty) {
+      dirty = false;
+      try {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify(Object.fromEntries(store._rows)));
+        await fs.promises.rename(tmp, file);
+      } catch (err) {
+        console.error(`❌ Could not persist store "${name}":`, err.message);
+      }
+    }
+    writing = null;
+  }
+
+  process.on("exit", () => {
+    if (!dirty && !writing) return;
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      const tmp = `${file}.exit.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(store._rows)));
+      fs.renameSync(tmp, file);
+    } catch (err) {
+      console.error(`❌ Could not persist store "${name}":`, err.message);
+    }
+  });
+
+  return {
+    ...store,
+    async set(key, value) {
+      await store.set(key, value);
+      persist();
+      return value;
+    },
+    async update(key, updater) {
+      const next = await store.update(key, updater);
+      persist();
+      return next;
+    },
+    async delete(key) {
+      const removed = await store.delete(key);
+      persist();
+      return removed;
+    },
+  };
+}
+
+function createStore(name) {
+  if (STORE_DRIVER === "memory") {
+    return createMemoryStore();
+  }
+  return createFileStore(name);
+}
+
 /* =================  APP SETUP  ================= */
 
 const app = express();
 
+// Client IPs (guest credits, rate limits, bans) come from req.ip, so only
+// proxies we trust may set them through X-Forwarded-For.
+// LMX_TRUST_PROXY = number of proxy hops in front of the app ("1" on Railway /
+// Render), or trusted proxy addresses / CIDRs ("loopback, 10.0.0.0/8").
+// Unset: no proxy is trusted and X-Forwarded-For is ignored.
+function parseTrustProxy(value) {
+  const raw = (value || "").trim();
+  if (!raw || raw === "false") return false;
+  if (raw === "true") return true;
+  if (/^\d+$/.test(raw)) return Number(raw);
+  return raw.split(",").map((entry) => entry.trim()).filter(Boolean);
+}
+
+app.set("trust proxy", parseTrustProxy(process.env.LMX_TRUST_PROXY));
+
 app.use(
   cors({
     origin: "*", // you can lock to your domain later
-    methods: ["POST", "OPTIONS", "GET"],
+    methods: ["POST", "OPTIONS", "GET", "PATCH", "DELETE"],
   })
 );
 
@@ -43,7 +184,7 @@ app.use(
 app.post(
   "/stripe/webhook",
   express.raw({ type: "application/json" }),
-  (req, res) => {
+  async (req, res) => {
     const sig = req.headers["stripe-signature"];
 
     let event;
@@ -59,19 +200,53 @@ app.post(
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    console.log("Stripe event received:", event.type);
+    console.log("Stripe event received:", event.type, event.id);
 
-    // You will expand this switch later to handle:
-    // - checkout.session.completed
-    // - customer.subscription.created / updated / deleted
-    // - invoice.paid / invoice.payment_failed
-    // For now, just acknowledge receipt.
-    return res.json({ received: true });
+    try {
+      const outcome = await processStripeEvent(event);
+      if (outcome.duplicate && outcome.status !== "processed") {
+        // Another attempt still holds the claim; a non-2xx keeps Stripe retrying
+        // until that attempt finishes or its claim goes stale.
+        return res.status(409).json({ received: false, error: "event_in_progress" });
+      }
+      return res.json({ received: true, duplicate: outcome.duplicate });
+    } catch (err) {
+      console.error("❌ Stripe event handling failed:", {
+        eventId: event.id,
+        type: event.type,
+        error: err?.message || err,
+      });
+      // Non-2xx makes Stripe retry; the stored event is marked "failed" until then.
+      return res.status(500).json({ received: false, error: "event_processing_failed" });
+    }
   }
 );
 
+// Source frames may be sent as base64 in JSON (imageBase64, plus backgroundBase64
+// for remove-background), so the body limit covers two 20MB images after
+// base64's 4/3 growth, plus room for the other fields.
+const MAX_SOURCE_IMAGE_BYTES = 20 * 1024 * 1024;
+const JSON_BODY_LIMIT_BYTES = Math.ceil((MAX_SOURCE_IMAGE_BYTES * 2 * 4) / 3) + 1024 * 1024;
+
 // JSON body for normal routes
-app.use(express.json({ limit: "10mb" }));
+app.use(express.json({ limit: JSON_BODY_LIMIT_BYTES }));
+
+// Body parser errors answer in our JSON error shape instead of Express's HTML page.
+app.use((err, req, res, next) => {
+  if (err?.type === "entity.too.large") {
+    return res.status(413).json({
+      error: "payload_too_large",
+      message: `Request body is too large (max ${Math.floor(JSON_BODY_LIMIT_BYTES / (1024 * 1024))}MB, images up to ${MAX_SOURCE_IMAGE_BYTES / (1024 * 1024)}MB each).`,
+    });
+  }
+  if (err?.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "invalid_json", message: "Request body is not valid JSON." });
+  }
+  return next(err);
+});
+
+// Verified user / team identity for every route below
+app.use(authenticate);
 
 // Simple health check
 app.get("/", (req, res) => {
@@ -82,122 +257,574 @@ app.get("/", (req, res) => {
   });
 });
 
+// `signal` (job cancellation, may be undefined) combined with a hard timeout,
+// so calls to outside services can never hang a request forever.
+function signalWithTimeout(signal, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  if (!signal) return timeout;
+  if (AbortSignal.any) return AbortSignal.any([signal, timeout]);
+
+  const controller = new AbortController();
+  for (const source of [signal, timeout]) {
+    if (source.aborted) {
+      controller.abort(source.reason);
+      break;
+    }
+    source.addEventListener("abort", () => controller.abort(source.reason), { once: true });
+  }
+  return controller.signal;
+}
+
 /* ============  RATIO → SIZE MAPPING  ============ */
 
-// Frontend can send any of these ratios; we squeeze them into the closest OpenAI size.
-function mapRatioToSize(ratio) {
-  // OpenAI gpt-image-1 supports: 1024x1024, 1024x1792, 1792x1024
-  // We group ratios into "square", "tall", "wide".
-  const r = (ratio || "").trim();
+// Any "W:H" ratio (4:5, 21:9, ...) is honored exactly: the model renders at the
+// supported size (IMAGE_MODELS[].sizes) whose aspect is closest, and the frame
+// is then cropped to the exact ratio around `cropAnchor`.
+const MIN_ASPECT = 1 / 4;
+const MAX_ASPECT = 4;
+
+// sharp gravity / strategy per cropAnchor. "smart" keeps the most salient region.
+const CROP_ANCHORS = {
+  center: "centre",
+  top: "north",
+  bottom: "south",
+  left: "west",
+  right: "east",
+  "top-left": "northwest",
+  "top-right": "northeast",
+  "bottom-left": "southwest",
+  "bottom-right": "southeast",
+  smart: sharp.strategy.attention,
+};
+
+// "16:9" (also "16x9" / "16/9") → { text: "16:9", value: 1.777 } or null.
+function parseRatio(ratio) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*[:x/]\s*(\d+(?:\.\d+)?)\s*$/i.exec(ratio || "");
+  if (!match) return null;
+  const w = Number(match[1]);
+  const h = Number(match[2]);
+  if (!(w > 0 && h > 0)) return null;
+  const value = w / h;
+  if (value < MIN_ASPECT || value > MAX_ASPECT) return null;
+  return { text: `${match[1]}:${match[2]}`, value };
+}
+
+// Picks what to render and what to deliver for `ratio` on `model`.
+// Returns { ok, ratio, generatedSize, width, height }
+// or { ok: false, body } for a 400.
+function planFrameSize(model, rawRatio) {
+  const ratio = parseRatio((rawRatio || "").toString().trim() || "1:1");
+  if (!ratio) {
+    return { ok: false, body: invalidRatioBody() };
+  }
 
-  // Tall-ish → vertical
-  const tallSet = new Set(["4:5", "2:3", "9:16"]);
-  // Wide-ish → horizontal
-  const wideSet = new Set(["3:2", "16:9"]);
+  // Closest aspect on a log scale (2:1 is as far from 1:1 as 1:2); ties go to the larger canvas.
+  const candidates = model.sizes.map((size) => {
+    const [w, h] = size.split("x").map(Number);
+    return { size, w, h, distance: Math.abs(Math.log(w / h) - Math.log(ratio.value)) };
+  });
+  candidates.sort((a, b) => a.distance - b.distance || b.w * b.h - a.w * a.h);
+  const best = candidates[0];
+
+  // Largest exact-ratio crop that fits inside the rendered frame.
+  let width = best.w;
+  let height = Math.round(best.w / ratio.value);
+  if (height > best.h) {
+    height = best.h;
+    width = Math.round(best.h * ratio.value);
+  }
 
-  if (tallSet.has(r)) return "1024x1792";
-  if (wideSet.has(r)) return "1792x1024";
-  // Default / 1:1 / anything unknown
-  return "1024x1024";
+  return {
+    ok: true,
+    ratio: ratio.text,
+    generatedSize: best.size,
+    width,
+    height,
+  };
 }
 
-/* ============  BASIC SAFETY HOOK  ============ */
+// Crops a rendered frame to the planned size around the anchor (PNG out).
+// Frames that already match (e.g. 1:1 on a square size) pass through untouched.
+async function cropToFrame(buffer, frame, anchor) {
+  const meta = await sharp(buffer).metadata();
+  if (meta.width === frame.width && meta.height === frame.height) return buffer;
+  return sharp(buffer)
+    .resize(frame.width, frame.height, { fit: "cover", position: CROP_ANCHORS[anchor] })
+    .png()
+    .toBuffer();
+}
 
-function looksObviouslyBad(text) {
-  if (!text) return false;
-  const lower = text.toLowerCase();
-  const banned = [
-    "csam",
-    "child sexual",
-    "child abuse",
-    "exploitative minor",
-    "revenge porn",
-  ];
-  return banned.some((w) => lower.includes(w));
+// Returns the anchor key or null when it is not one of CROP_ANCHORS.
+function parseCropAnchor(rawAnchor) {
+  const anchor = (rawAnchor || "").toString().trim().toLowerCase() || "center";
+  return CROP_ANCHORS[anchor] ? anchor : null;
 }
 
-/* ============  STRONGER CONTENT FILTER  ============ */
+function invalidRatioBody() {
+  return {
+    error: "invalid_ratio",
+    message: "ratio must look like \"4:5\" and stay between 1:4 and 4:1.",
+    code: "invalid_ratio",
+  };
+}
 
-// Returns { ok: boolean, code?: string, message?: string }
-function runContentFilter(prompt) {
-  if (!prompt) {
-    return { ok: true };
-  }
-  const lower = prompt.toLowerCase();
+function invalidCropAnchorBody() {
+  return {
+    error: "invalid_crop_anchor",
+    message: `cropAnchor must be one of: ${Object.keys(CROP_ANCHORS).join(", ")}`,
+    code: "invalid_crop_anchor",
+  };
+}
 
-  // Hard-block categories you do NOT want on your platform.
-  const hardRules = [
+/* ============  CONTENT FILTER (CONFIGURABLE RULES)  ============ */
+
+// Rules live in a versioned JSON file so trust & safety can change them
+// without a deploy. The file is re-read when it changes (checked every 30s).
+// LMX_CONTENT_RULES_FILE = path (default ./config/content-rules.json)
+//
+// Matching works on normalized words, not raw substrings:
+// - Unicode NFKC, accents stripped, zero-width characters removed
+// - look-alike Cyrillic / Greek letters mapped to Latin ("rаpe" with a Cyrillic а)
+// - leetspeak inside words ("r4pe", "s3x", "$ex"), pure numbers stay numbers
+//   ("14 year old"); trailing symbols are punctuation ("rape!" is "rape", not "rapei")
+// - spaced / dotted letters joined ("r a p e", "r.a.p.e")
+// - repeated letters squeezed ("raaape"), and with `fuzzy` one typo allowed on
+//   words of 7+ letters ("bestialty")
+// - phrases only match whole words, so "grape" never matches "rape"
+// - `allow` phrases (global or per category) cancel matches inside them
+const CONTENT_RULES_FILE =
+  process.env.LMX_CONTENT_RULES_FILE || path.join(__dirname, "config", "content-rules.json");
+const CONTENT_RULES_CHECK_MS = 30 * 1000;
+const FUZZY_MIN_WORD_LENGTH = 7;
+
+// Used only when the rules file cannot be read at startup.
+const BUILTIN_CONTENT_RULES = {
+  version: "builtin",
+  allow: [],
+  categories: [
     {
       code: "minor_sexual_content",
-      words: [
-        "child sexual",
-        "underage sex",
-        "teen sex",
-        "teen porn",
-        "14 year old",
-        "15 year old",
-        "16 year old",
-        "minor nude",
-        "minor pornography",
-      ],
+      phrases: ["child sexual", "underage sex", "teen sex", "teen porn", "minor nude", "minor pornography"],
     },
     {
       code: "exploitative_content",
-      words: [
-        "csam",
-        "child abuse material",
-        "non-consensual intimate",
-        "hidden camera in shower",
-        "voyeur porn",
-      ],
-    },
-    {
-      code: "sexual_violence",
-      words: [
-        "rape",
-        "sexual assault",
-        "forced sex",
-        "non-consensual sex",
-      ],
+      phrases: ["csam", "child abuse material", "child abuse", "non-consensual intimate", "voyeur porn"],
     },
-    {
-      code: "bestiality",
-      words: [
-        "sex with animal",
-        "bestiality",
-        "zoophilia",
-      ],
+    { code: "sexual_violence", phrases: ["rape", "sexual assault", "forced sex", "non-consensual sex"] },
+    { code: "bestiality", phrases: ["sex with animal", "bestiality", "zoophilia"] },
+    { code: "revenge_porn", phrases: ["revenge porn", "leak my ex nudes", "post my ex nude"] },
+  ],
+};
+
+const HOMOGLYPHS = {
+  "а": "a", "в": "b", "е": "e", "ё": "e", "к": "k", "м": "m", "н": "h", "о": "o",
+  "р": "p", "с": "c", "т": "t", "у": "y", "х": "x", "і": "i", "ї": "i", "ј": "j",
+  "ѕ": "s", "ԁ": "d", "ɡ": "g", "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i",
+  "κ": "k", "ν": "v", "ο": "o", "ρ": "p", "τ": "t", "υ": "u", "χ": "x",
+};
+
+const LEET = {
+  "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b", "9": "g",
+  "@": "a", "$": "s", "!": "i", "|": "i", "+": "t",
+};
+
+function normalizeForMatching(text) {
+  return (text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[\u200B-\u200D\u2060\uFEFF\u00AD]/g, "")
+    .replace(/./gu, (ch) => HOMOGLYPHS[ch] || ch);
+}
+
+// Symbols at a word's edges are punctuation, not letters. Only "$" and "@" are
+// decoded at the start of a word ("$ex", "@ss"); at the end they are dropped.
+const EDGE_SYMBOLS = /^[!|+]+|[@$!|+]+$/g;
+
+// Words after normalization + leetspeak decoding.
+function tokenizeForMatching(text) {
+  const raw = normalizeForMatching(text).match(/[\p{L}\p{N}@$!|+]+/gu) || [];
+  return raw
+    .map((token) => {
+      const word = token.replace(EDGE_SYMBOLS, "");
+      const decoded = /\p{L}/u.test(word)
+        ? word.replace(/[0-9@$!|+]/g, (ch) => LEET[ch] || ch)
+        : word;
+      return decoded.replace(/[^\p{L}\p{N}]/gu, "");
+    })
+    .filter(Boolean);
+}
+
+// Runs of 3+ single characters become one word: "s e x" → "sex".
+function joinSpacedLetters(tokens) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length >= 3) out.push(run.join(""));
+    else out.push(...run);
+    run = [];
+  };
+  for (const token of tokens) {
+    if (token.length === 1) {
+      run.push(token);
+    } else {
+      flush();
+      out.push(token);
+    }
+  }
+  flush();
+  return out;
+}
+
+function squeezeRepeats(word) {
+  return word.replace(/(.)\1+/g, "$1");
+}
+
+// Damerau-Levenshtein distance, capped: returns early once it exceeds `max`.
+function editDistanceWithin(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, d[i][j]);
+    }
+    if (rowMin > max) return false;
+  }
+  return d[a.length][b.length] <= max;
+}
+
+function wordMatches(token, word, fuzzy) {
+  const t = squeezeRepeats(token);
+  const w = squeezeRepeats(word);
+  if (t === w) return true;
+  return fuzzy && w.length >= FUZZY_MIN_WORD_LENGTH && editDistanceWithin(t, w, 1);
+}
+
+// [start, end) word spans where `phrase` (array of words) occurs in `tokens`.
+function findPhrase(tokens, phrase, fuzzy) {
+  const spans = [];
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((word, j) => wordMatches(tokens[i + j], word, fuzzy))) {
+      spans.push([i, i + phrase.length]);
+    }
+  }
+  return spans;
+}
+
+function compileContentRules(config) {
+  const toPhrase = (text) => tokenizeForMatching(text);
+  return {
+    version: String(config.version || "unversioned"),
+    allow: (config.allow || []).map(toPhrase).filter((p) => p.length > 0),
+    categories: (config.categories || []).map((category) => ({
+      code: category.code,
+      severity: category.severity || "hard",
+      fuzzy: !!category.fuzzy,
+      phrases: (category.phrases || [])
+        .map((text) => ({ text, words: toPhrase(text) }))
+        .filter((p) => p.words.length > 0),
+      allow: (category.allow || []).map(toPhrase).filter((p) => p.length > 0),
+    })),
+  };
+}
+
+let contentRules = compileContentRules(BUILTIN_CONTENT_RULES);
+let contentRulesMtimeMs = 0;
+let contentRulesCheckedAt = 0;
+let contentRulesSource = "builtin";
+
+// Re-reads the file if it changed; on a bad file keeps the last good rules.
+function loadContentRules({ force = false } = {}) {
+  try {
+    const stat = fs.statSync(CONTENT_RULES_FILE);
+    if (!force && stat.mtimeMs === contentRulesMtimeMs) return contentRules;
+
+    const config = JSON.parse(fs.readFileSync(CONTENT_RULES_FILE, "utf8"));
+    contentRules = compileContentRules(config);
+    contentRulesMtimeMs = stat.mtimeMs;
+    contentRulesSource = CONTENT_RULES_FILE;
+    console.log("🛡  Content rules loaded", {
+      version: contentRules.version,
+      categories: contentRules.categories.length,
+    });
+  } catch (err) {
+    console.error("❌ Could not load content rules; keeping version", contentRules.version, err.message);
+  }
+  return contentRules;
+}
+
+function getContentRules() {
+  const now = Date.now();
+  if (now - contentRulesCheckedAt > CONTENT_RULES_CHECK_MS) {
+    contentRulesCheckedAt = now;
+    loadContentRules();
+  }
+  return contentRules;
+}
+
+loadContentRules({ force: true });
+contentRulesCheckedAt = Date.now();
+
+// "2026.10.1" → "2026.10.2"; anything without a trailing number gets ".1".
+function bumpRulesVersion(version) {
+  const match = /^(.*?)(\d+)$/.exec(version || "");
+  return match ? `${match[1]}${Number(match[2]) + 1}` : `${version || "unversioned"}.1`;
+}
+
+// Adds an allow-list phrase to the rules file (to `code`'s category when it
+// exists, otherwise top-level), bumps the version and reloads.
+// Returns { ok, version } or { ok: false, code, message }.
+function addContentRuleAllowPhrase(phrase, code) {
+  const text = (phrase || "").toString().trim().toLowerCase();
+  if (tokenizeForMatching(text).length === 0) {
+    return { ok: false, code: "invalid_allow_phrase", message: "allowPhrase must contain words." };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONTENT_RULES_FILE, "utf8"));
+  } catch (err) {
+    return { ok: false, code: "rules_file_unavailable", message: `Cannot read ${CONTENT_RULES_FILE}: ${err.message}` };
+  }
+
+  const category = (config.categories || []).find((c) => c.code === code);
+  const target = category || config;
+  target.allow = target.allow || [];
+  if (!target.allow.includes(text)) {
+    target.allow.push(text);
+    config.version = bumpRulesVersion(String(config.version || ""));
+
+    const tmp = `${CONTENT_RULES_FILE}.tmp`;
+    try {
+      fs.writeFileSync(tmp, `${JSON.stringify(config, null, 2)}\n`);
+      fs.renameSync(tmp, CONTENT_RULES_FILE);
+    } catch (err) {
+      return { ok: false, code: "rules_file_unwritable", message: `Cannot write ${CONTENT_RULES_FILE}: ${err.message}` };
+    }
+  }
+
+  const rules = loadContentRules({ force: true });
+  return { ok: true, version: rules.version, scope: category ? code : "global" };
+}
+
+function isInsideAllowed(span, allowedSpans) {
+  return allowedSpans.some(([start, end]) => span[0] >= start && span[1] <= end);
+}
+
+// Returns { ok: boolean, code?, category?, ruleVersion?, matched?, message? }
+function runContentFilter(prompt) {
+  if (!prompt) {
+    return { ok: true };
+  }
+
+  const rules = getContentRules();
+  const tokens = tokenizeForMatching(prompt);
+  const streams = [tokens, joinSpacedLetters(tokens)];
+
+  for (const stream of streams) {
+    const globalAllowed = rules.allow.flatMap((phrase) => findPhrase(stream, phrase, false));
+
+    for (const category of rules.categories) {
+      const allowed = globalAllowed.concat(
+        category.allow.flatMap((phrase) => findPhrase(stream, phrase, false))
+      );
+
+      for (const phrase of category.phrases) {
+        const hit = findPhrase(stream, phrase.words, category.fuzzy).find(
+          (span) => !isInsideAllowed(span, allowed)
+        );
+        if (hit) {
+          return {
+            ok: false,
+            code: category.code,
+            category: category.code,
+            severity: category.severity,
+            ruleVersion: rules.version,
+            matched: phrase.text,
+            message: "Prompt blocked by LMX safety rules.",
+          };
+        }
+      }
+    }
+  }
+
+  return { ok: true, ruleVersion: rules.version };
+}
+
+/* ============  MODEL MODERATION (OPTIONAL STAGE)  ============ */
+
+// Runs after runContentFilter to catch paraphrases and other languages.
+// LMX_MODERATION_PROVIDER = "off" (default) | "openai" | "stub"
+// LMX_MODERATION_POLICY_JSON = per-category overrides, e.g. {"violence": {"threshold": 0.5}}
+// LMX_MODERATION_TIMEOUT_SECONDS = a provider call slower than this counts as down (default 10)
+// LMX_MODERATION_ON_ERROR = "closed" (default) | "open": what to do while the
+//   provider is down. A failed call scores no category at all, so this is one
+//   switch for the whole check rather than a per-category setting.
+//
+// Each provider category maps to our own block code and a score threshold.
+const DEFAULT_MODERATION_POLICY = {
+  "sexual/minors": { code: "minor_sexual_content", threshold: 0.05 },
+  sexual: { code: "sexual_content", threshold: 0.8 },
+  "violence/graphic": { code: "graphic_violence", threshold: 0.7 },
+  violence: { code: "violence", threshold: 0.9 },
+  hate: { code: "hate", threshold: 0.7 },
+  "hate/threatening": { code: "hate_threatening", threshold: 0.5 },
+  "harassment/threatening": { code: "harassment_threatening", threshold: 0.7 },
+  "self-harm/intent": { code: "self_harm", threshold: 0.5 },
+  "self-harm/instructions": { code: "self_harm", threshold: 0.3 },
+  "illicit/violent": { code: "illicit_violent", threshold: 0.6 },
+};
+
+function loadModerationPolicy() {
+  if (!process.env.LMX_MODERATION_POLICY_JSON) return DEFAULT_MODERATION_POLICY;
+  try {
+    const overrides = JSON.parse(process.env.LMX_MODERATION_POLICY_JSON);
+    const policy = { ...DEFAULT_MODERATION_POLICY };
+    for (const [category, value] of Object.entries(overrides)) {
+      if (value && "onError" in value) {
+        console.warn(`⚠️  LMX_MODERATION_POLICY_JSON: ${category}.onError is ignored; use LMX_MODERATION_ON_ERROR.`);
+      }
+      policy[category] = { ...policy[category], ...value };
+    }
+    return policy;
+  } catch (err) {
+    console.error("❌ LMX_MODERATION_POLICY_JSON is not valid JSON; using defaults:", err.message);
+    return DEFAULT_MODERATION_POLICY;
+  }
+}
+
+const MODERATION_POLICY = loadModerationPolicy();
+const MODERATION_ON_ERROR =
+  (process.env.LMX_MODERATION_ON_ERROR || "closed").toLowerCase() === "open" ? "open" : "closed";
+const MODERATION_TIMEOUT_MS = (Number(process.env.LMX_MODERATION_TIMEOUT_SECONDS) || 10) * 1000;
+
+// Every provider implements: { name, async moderate(text, { signal }) → { scores: { [category]: 0..1 } } }
+const MODERATION_PROVIDERS = {
+  openai: {
+    name: "openai",
+    async moderate(text, { signal } = {}) {
+      const result = await client.moderations.create(
+        {
+          model: process.env.LMX_MODERATION_MODEL || "omni-moderation-latest",
+          input: text,
+        },
+        { signal }
+      );
+      return { scores: result.results?.[0]?.category_scores || {} };
     },
-    {
-      code: "revenge_porn",
-      words: [
-        "revenge porn",
-        "leak my ex nudes",
-        "post my ex nude",
-      ],
+  },
+  // Offline / tests: "stub:<category>" in the text scores that category 1.0,
+  // "stub:error" makes the provider fail.
+  stub: {
+    name: "stub",
+    async moderate(text) {
+      if (text.includes("stub:error")) {
+        throw new Error("Stub moderation provider failure");
+      }
+      const scores = {};
+      for (const match of text.matchAll(/stub:([a-z/-]+)/g)) {
+        scores[match[1]] = 1;
+      }
+      return { scores };
     },
-  ];
+  },
+};
+
+function getModerationProvider() {
+  const key = (process.env.LMX_MODERATION_PROVIDER || "off").toLowerCase();
+  return MODERATION_PROVIDERS[key] || null;
+}
 
-  for (const rule of hardRules) {
-    if (rule.words.some((w) => lower.includes(w))) {
+// Applies MODERATION_POLICY to a provider's scores (text or image).
+function evaluateModerationScores(scores, providerName) {
+  for (const [category, rule] of Object.entries(MODERATION_POLICY)) {
+    const score = Number(scores[category] || 0);
+    if (score >= rule.threshold) {
       return {
         ok: false,
         code: rule.code,
+        category,
+        score,
+        provider: providerName,
         message: "Prompt blocked by LMX safety rules.",
       };
     }
   }
+  return { ok: true, provider: providerName };
+}
+
+// Provider down: with LMX_MODERATION_ON_ERROR "closed" the input is held back
+// as `unavailable` (a 503, not a block or a strike); with "open" it is allowed.
+function moderationErrorResult(providerName, err) {
+  console.error("❌ Moderation provider error:", {
+    provider: providerName,
+    error: err?.message || err,
+    onError: MODERATION_ON_ERROR,
+  });
 
-  // Keep the old simple hook as a fallback
-  if (looksObviouslyBad(prompt)) {
+  if (MODERATION_ON_ERROR === "closed") {
     return {
       ok: false,
-      code: "unsafe_keyword",
-      message: "Prompt blocked by LMX safety rules.",
+      unavailable: true,
+      code: "moderation_unavailable",
+      provider: providerName,
+      message: "Safety check is temporarily unavailable. Please try again.",
     };
   }
+  return { ok: true, provider: providerName, degraded: true };
+}
+
+// { status, body } for a prompt that could not be checked (moderationErrorResult).
+function moderationUnavailableResponse(safety, requestId) {
+  return {
+    status: 503,
+    body: {
+      error: "moderation_unavailable",
+      message: safety.message,
+      code: "moderation_unavailable",
+      requestId,
+    },
+  };
+}
+
+// Same result shape as runContentFilter.
+async function runModeration(text) {
+  const provider = getModerationProvider();
+  if (!provider || !text) {
+    return { ok: true };
+  }
+
+  try {
+    const { scores } = await provider.moderate(text, {
+      signal: AbortSignal.timeout(MODERATION_TIMEOUT_MS),
+    });
+    return evaluateModerationScores(scores, provider.name);
+  } catch (err) {
+    return moderationErrorResult(provider.name, err);
+  }
+}
+
+// Keyword rules first (cheap, versioned), then the optional model stage.
+async function checkPromptSafety(text) {
+  const keywordResult = runContentFilter(text);
+  if (!keywordResult.ok) {
+    return keywordResult;
+  }
+
+  const moderation = await runModeration(text);
+  if (!moderation.ok) {
+    return { ...moderation, ruleVersion: keywordResult.ruleVersion };
+  }
 
-  return { ok: true };
+  return keywordResult;
 }
 
 /* ============  STYLE MAP (PRESETS)  ============ */
@@ -223,270 +850,4408 @@ const STYLE_MAP = {
     "hand-drawn pencil sketch, loose linework, visible graphite texture, minimal shading, concept art style",
 };
 
-/* ============  USER CONTEXT AND CREDITS HOOKS  ============ */
-
-// Pulls a user id + plan/tier from headers or body if available
-function getUserContext(req) {
-  const userId =
-    (req.headers["x-lmx-user-id"] ||
-      req.headers["x-user-id"] ||
-      req.body?.userId ||
-      "").toString().trim() || null;
-
-  // Read plan / tier from request if frontend sends it
-  const rawPlan =
-    (req.headers["x-lmx-plan"] ||
-      req.headers["x-user-plan"] ||
-      req.body?.plan ||
-      req.body?.tier ||
-      "").toString().trim();
-
-  let plan = rawPlan.toLowerCase();
-  if (!plan) {
-    plan = "free"; // default if nothing is sent
+/* ============  STYLE PRESETS (USER + TEAM)  ============ */
+
+// Named house styles saved by a user or by a team, next to STYLE_MAP.
+// A request's `style` resolves in this order: the caller's own presets, then
+// their team's presets, then STYLE_MAP; anything else is used as raw style text.
+// A preset holds a description plus optional negative guidance, default ratio
+// and default model. Every edit bumps `version` and keeps the previous fields
+// in `history`; frames record the preset version they were rendered with.
+// LMX_STYLE_PRESET_LIMIT = presets per user and per team (default 100)
+const STYLE_PRESET_LIMIT = Number(process.env.LMX_STYLE_PRESET_LIMIT || 100);
+const STYLE_PRESET_KEY = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+const stylePresetsStore = createStore("style_presets");
+
+// Owners whose presets the caller can use, most specific first.
+// Team API keys act for the team only.
+function stylePresetOwners(userCtx) {
+  const owners = [];
+  if (userCtx.userId && userCtx.authMethod !== "api_key") {
+    owners.push({ ownerType: "user", ownerId: userCtx.userId });
   }
-
-  return {
-    userId,           // string or null
-    isGuest: !userId, // true when no id present
-    plan,             // comes from frontend or defaults to "free"
-  };
-}
-
-// Get client IP (best effort behind proxies)
-function getClientIp(req) {
-  const xf = req.headers["x-forwarded-for"];
-  if (typeof xf === "string" && xf.length > 0) {
-    return xf.split(",")[0].trim();
+  if (userCtx.teamId) {
+    owners.push({ ownerType: "team", ownerId: userCtx.teamId });
   }
-  const ip = req.socket?.remoteAddress || null;
-  return ip;
+  return owners;
 }
 
-// Ban check: uses env lists
-// LMX_BANNED_USER_IDS = "user1,user2"
-// LMX_BANNED_IPS = "1.2.3.4,5.6.7.8"
-function checkBan(userCtx, req) {
-  const bannedUsersEnv = process.env.LMX_BANNED_USER_IDS || "";
-  const bannedIpsEnv = process.env.LMX_BANNED_IPS || "";
+function ownsStylePreset(userCtx, preset) {
+  return stylePresetOwners(userCtx).some(
+    (owner) => owner.ownerType === preset.ownerType && owner.ownerId === preset.ownerId
+  );
+}
 
-  const bannedUserIds = bannedUsersEnv
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
+async function listStylePresets(userCtx) {
+  if (stylePresetOwners(userCtx).length === 0) return [];
+  return (await stylePresetsStore.values()).filter(
+    (preset) => !preset.deletedAt && ownsStylePreset(userCtx, preset)
+  );
+}
 
-  const bannedIps = bannedIpsEnv
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
+// Any team member may edit the team's presets; other callers get null.
+async function getStylePreset(userCtx, id) {
+  const preset = await stylePresetsStore.get(id);
+  if (!preset || preset.deletedAt || !ownsStylePreset(userCtx, preset)) return null;
+  return preset;
+}
 
-  const clientIp = getClientIp(req);
+// Returns { styleKey, resolvedStyle, negative, ratio, model, source, preset }.
+// source is "user" | "team" | "builtin" | "custom" (raw text) | null (no style);
+// preset is { id, version, source } when a saved preset matched.
+async function resolveStyle(userCtx, rawStyle) {
+  const styleKeyRaw = (rawStyle || "").toString().trim();
+  const styleKey = styleKeyRaw.toLowerCase();
+  const resolved = {
+    styleKey: styleKey || null,
+    resolvedStyle: "",
+    negative: "",
+    ratio: null,
+    model: null,
+    source: null,
+    preset: null,
+  };
+  if (!styleKeyRaw) return resolved;
 
-  if (userCtx.userId && bannedUserIds.includes(userCtx.userId)) {
-    return {
-      banned: true,
-      reason: "user_id_banned",
-      detail: `User ${userCtx.userId} is banned.`,
-      ip: clientIp || null,
-    };
+  const presets = await listStylePresets(userCtx);
+  for (const ownerType of ["user", "team"]) {
+    const preset = presets.find((p) => p.ownerType === ownerType && p.key === styleKey);
+    if (preset) {
+      return {
+        ...resolved,
+        resolvedStyle: preset.description,
+        negative: preset.negative || "",
+        ratio: preset.ratio || null,
+        model: preset.model || null,
+        source: ownerType,
+        preset: { id: preset.id, version: preset.version, source: ownerType },
+      };
+    }
   }
 
-  if (clientIp && bannedIps.includes(clientIp)) {
-    return {
-      banned: true,
-      reason: "ip_banned",
-      detail: `IP ${clientIp} is banned.`,
-      ip: clientIp,
-    };
+  if (STYLE_MAP[styleKey]) {
+    return { ...resolved, resolvedStyle: STYLE_MAP[styleKey], source: "builtin" };
   }
-
-  return { banned: false };
+  // Not a known key: use whatever text the UI sent
+  return { ...resolved, resolvedStyle: styleKeyRaw, source: "custom" };
 }
 
-// Credit or plan check before generation
-// Reads credits from the request (headers/body):
-// - x-lmx-credits / x-user-credits headers
-// - req.body.credits / req.body.creditsRemaining
-// If no credits number is provided, treats as unlimited (always allow).
-async function checkCredits(userCtx, req) {
-  try {
-    const rawCredits =
-      req.headers["x-lmx-credits"] ??
-      req.headers["x-user-credits"] ??
-      (req.body ? req.body.credits ?? req.body.creditsRemaining : null);
+// Returns { ok: true, fields } with the preset fields present in `body` (and
+// the required ones when creating), or { ok: false, body } for a 400.
+function validateStylePresetFields(body, { partial = false } = {}) {
+  const invalid = (message) => ({
+    ok: false,
+    body: { error: "invalid_style_preset", message, code: "invalid_style_preset" },
+  });
+  const has = (field) => body[field] !== undefined;
+  const fields = {};
 
-    // If nothing sent, do NOT block anything yet (unlimited mode)
-    if (rawCredits === null || rawCredits === undefined) {
-      return {
-        ok: true,
-        code: "no_limit_configured",
-        message: "No credits value provided; treating as unlimited for now.",
-      };
+  if (has("name")) {
+    const name = (body.name ?? "").toString().trim();
+    if (name.length > 80) return invalid("name must be at most 80 characters.");
+    fields.name = name || null;
+  }
+  if (has("description") || !partial) {
+    const description = (body.description ?? "").toString().trim();
+    if (!description) return invalid("description is required.");
+    if (description.length > 1000) return invalid("description must be at most 1000 characters.");
+    fields.description = description;
+  }
+  if (has("negative")) {
+    const negative = (body.negative ?? "").toString().trim();
+    if (negative.length > 500) return invalid("negative must be at most 500 characters.");
+    fields.negative = negative || null;
+  }
+  if (has("ratio")) {
+    const rawRatio = (body.ratio ?? "").toString().trim();
+    const ratio = rawRatio ? parseRatio(rawRatio) : null;
+    if (rawRatio && !ratio) return { ok: false, body: invalidRatioBody() };
+    fields.ratio = ratio ? ratio.text : null;
+  }
+  if (has("model")) {
+    const rawModel = (body.model ?? "").toString().trim();
+    if (rawModel) {
+      const lookup = resolveImageModel(rawModel, { feature: "generate" });
+      if (!lookup.ok) return { ok: false, body: lookup.body };
+      fields.model = lookup.model.id;
+    } else {
+      fields.model = null;
     }
+  }
 
-    const creditsNumber = Number(rawCredits);
+  return { ok: true, fields };
+}
 
-    // If not a valid number, also allow (to avoid accidental lockouts)
-    if (Number.isNaN(creditsNumber)) {
-      return {
-        ok: true,
-        code: "invalid_credits_value",
-        message: "Credits value not a valid number; allowing request.",
-      };
+// Returns null when the preset text is allowed, otherwise { status, body }.
+async function checkStylePresetSafety(userCtx, req, { description, negative }) {
+  const text = [description, negative].filter(Boolean).join(" ");
+  const safety = await checkPromptSafety(text);
+  if (safety.ok) return null;
+
+  const requestId = makeRequestId();
+  if (safety.unavailable) {
+    return moderationUnavailableResponse(safety, requestId);
+  }
+
+  const strike = await recordBlockedPrompt(userCtx, req, {
+    safety,
+    prompt: text,
+    requestId,
+    operation: "style-preset",
+  });
+
+  return {
+    status: 400,
+    body: {
+      error: "unsafe_content",
+      message: safety.message || "Preset blocked by LMX safety rules.",
+      code: safety.code || "unsafe_content",
+      ruleVersion: safety.ruleVersion || null,
+      strike: strike || undefined,
+      requestId,
+    },
+  };
+}
+
+function presentStylePreset(preset, { withHistory = false } = {}) {
+  const { history, deletedAt, deletedBy, ...rest } = preset;
+  return {
+    ...rest,
+    name: preset.name || preset.key,
+    source: preset.ownerType,
+    ...(withHistory ? { history } : {}),
+  };
+}
+
+/* ============  AUTHENTICATION  ============ */
+
+// Verified identity comes from one of:
+// - Authorization: Bearer <JWT>
+//     LMX_JWT_SECRET      → HS256 shared secret
+//     LMX_JWT_PUBLIC_KEY  → RS256 PEM public key
+//     LMX_JWKS_FILE       → RS256 keys from a JWKS json file (matched by `kid`)
+//     LMX_JWT_ISSUER / LMX_JWT_AUDIENCE are checked when set.
+//     `sub` is the user id, optional `team_id` the team.
+// - x-lmx-api-key: <team key> (created with POST /admin/api-keys)
+// The plan always comes from our own account records (Stripe webhook), never from the token.
+const JWT_CLOCK_SKEW_SECONDS = 60;
+
+const teamApiKeys = createStore("team_api_keys");
+
+function loadJwtPublicKeys() {
+  const keys = { byKid: new Map(), fallback: null };
+
+  if (process.env.LMX_JWT_PUBLIC_KEY) {
+    try {
+      keys.fallback = crypto.createPublicKey(
+        process.env.LMX_JWT_PUBLIC_KEY.replace(/\\n/g, "\n")
+      );
+    } catch (err) {
+      console.error("❌ LMX_JWT_PUBLIC_KEY is not a valid PEM key:", err.message);
     }
+  }
 
-    // If user still has credits > 0 → allow
-    if (creditsNumber > 0) {
-      return {
-        ok: true,
-        code: "has_credits",
-        message: "User has remaining credits.",
-        remaining: creditsNumber,
-      };
+  if (process.env.LMX_JWKS_FILE) {
+    try {
+      const jwks = JSON.parse(fs.readFileSync(process.env.LMX_JWKS_FILE, "utf8"));
+      for (const jwk of jwks.keys || []) {
+        if (jwk.kty !== "RSA") continue;
+        const key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+        if (jwk.kid) keys.byKid.set(jwk.kid, key);
+        if (!keys.fallback) keys.fallback = key;
+      }
+    } catch (err) {
+      console.error("❌ Could not load LMX_JWKS_FILE:", err.message);
     }
+  }
+
+  return keys;
+}
+
+const JWT_PUBLIC_KEYS = loadJwtPublicKeys();
+
+function decodeJwtPart(part) {
+  return JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+}
+
+// Returns { ok: true, claims } or { ok: false, code, message }
+function verifyJwt(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    return { ok: false, code: "malformed_token", message: "Token is not a JWT." };
+  }
 
-    // creditsNumber <= 0 → block
+  let header;
+  let claims;
+  try {
+    header = decodeJwtPart(parts[0]);
+    claims = decodeJwtPart(parts[1]);
+  } catch (err) {
+    return { ok: false, code: "malformed_token", message: "Token could not be decoded." };
+  }
+  // "null" or "1" decode as valid JSON but are not a JWT header / claims set.
+  const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(header) || !isObject(claims)) {
+    return { ok: false, code: "malformed_token", message: "Token could not be decoded." };
+  }
+
+  const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], "base64url");
+  let validSignature = false;
+
+  if (header.alg === "HS256" && process.env.LMX_JWT_SECRET) {
+    const expected = crypto
+      .createHmac("sha256", process.env.LMX_JWT_SECRET)
+      .update(signingInput)
+      .digest();
+    validSignature =
+      expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === "RS256") {
+    const key = (header.kid && JWT_PUBLIC_KEYS.byKid.get(header.kid)) || JWT_PUBLIC_KEYS.fallback;
+    validSignature = !!key && crypto.verify("RSA-SHA256", signingInput, key, signature);
+  } else {
     return {
       ok: false,
-      code: "no_credits",
-      message: "You are out of credits.",
-      remaining: 0,
+      code: "unsupported_algorithm",
+      message: `Token algorithm ${header.alg} is not accepted.`,
     };
-  } catch (err) {
-    console.error("❌ checkCredits error:", err);
-    // Fail-open: if something goes wrong, don't hard-block generation
+  }
+
+  if (!validSignature) {
+    return { ok: false, code: "invalid_signature", message: "Token signature is invalid." };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  // Tokens without an expiry would stay valid forever.
+  if (typeof claims.exp !== "number") {
+    return { ok: false, code: "missing_expiry", message: "Token has no expiry (exp)." };
+  }
+  if (claims.exp + JWT_CLOCK_SKEW_SECONDS < now) {
+    return { ok: false, code: "token_expired", message: "Token has expired." };
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - JWT_CLOCK_SKEW_SECONDS > now) {
+    return { ok: false, code: "token_not_yet_valid", message: "Token is not valid yet." };
+  }
+  if (process.env.LMX_JWT_ISSUER && claims.iss !== process.env.LMX_JWT_ISSUER) {
+    return { ok: false, code: "invalid_issuer", message: "Token issuer is not accepted." };
+  }
+  if (process.env.LMX_JWT_AUDIENCE) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(process.env.LMX_JWT_AUDIENCE)) {
+      return { ok: false, code: "invalid_audience", message: "Token audience is not accepted." };
+    }
+  }
+  if (!claims.sub) {
+    return { ok: false, code: "missing_subject", message: "Token has no subject." };
+  }
+
+  return { ok: true, claims };
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest("hex");
+}
+
+// A lapsed grace period drops the user back to free even before Stripe
+// sends the final subscription update.
+function resolvePlanFromAccount(account) {
+  if (!account) return "free";
+  if (
+    account.subscriptionStatus === "past_due" &&
+    account.graceUntil &&
+    Date.parse(account.graceUntil) < Date.now()
+  ) {
+    return "free";
+  }
+  return account.plan || "free";
+}
+
+// Team members without their own paid plan inherit the team's plan.
+async function resolvePlan(userId, teamId) {
+  const own = resolvePlanFromAccount(await getUserAccount(userId));
+  if (own !== "free" || !teamId) return own;
+  return resolvePlanFromAccount(await getUserAccount(`team:${teamId}`));
+}
+
+// Returns { ok: true, context } or { ok: false, code, message }
+async function resolveAuth(req) {
+  const apiKey = (req.headers["x-lmx-api-key"] || "").toString().trim();
+  if (apiKey) {
+    const record = await teamApiKeys.get(hashApiKey(apiKey));
+    if (!record || record.revokedAt) {
+      return { ok: false, code: "invalid_api_key", message: "API key is invalid or revoked." };
+    }
+
+    const userId = `team:${record.teamId}`;
     return {
       ok: true,
-      code: "credits_check_error",
-      message: "Credits check failed; allowing request to avoid lockout.",
+      context: {
+        userId,
+        isGuest: false,
+        plan: await resolvePlan(userId, null),
+        teamId: record.teamId,
+        apiKeyId: record.id,
+        authMethod: "api_key",
+      },
     };
   }
+
+  const authHeader = (req.headers.authorization || "").toString();
+  if (!authHeader) {
+    return { ok: true, context: null };
+  }
+
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return { ok: false, code: "invalid_authorization", message: "Use a Bearer token." };
+  }
+
+  const verified = verifyJwt(match[1].trim());
+  if (!verified.ok) {
+    return verified;
+  }
+
+  const userId = String(verified.claims.sub);
+  const teamId = verified.claims.team_id ? String(verified.claims.team_id) : null;
+
+  return {
+    ok: true,
+    context: {
+      userId,
+      isGuest: false,
+      plan: await resolvePlan(userId, teamId),
+      teamId,
+      authMethod: "jwt",
+    },
+  };
 }
 
-// Log generation event for analytics and Library
-async function logGeneration(userCtx, meta) {
-  // For now just log to console.
-  // Later you can insert into Supabase (lmx_generations table).
+// Runs before every JSON route. No credentials → guest; bad credentials → explicit 401.
+async function authenticate(req, res, next) {
   try {
-    console.log("📊 LMX generation", {
-      userId: userCtx.userId || "guest",
-      plan: userCtx.plan,
-      ...meta,
+    const auth = await resolveAuth(req);
+    if (!auth.ok) {
+      return res.status(401).json({
+        error: "unauthorized",
+        message: auth.message,
+        code: auth.code,
+      });
+    }
+    req.lmxUser = auth.context;
+    return next();
+  } catch (err) {
+    console.error("❌ authenticate error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: "Could not verify credentials.",
     });
+  }
+}
 
-    // Example Supabase insert (disabled until you wire it):
-    /*
-    const { error } = await supabase
-      .from("lmx_generations")
-      .insert({
-        user_id: userCtx.userId,
-        plan: userCtx.plan,
-        prompt: meta.prompt,
-        magic_prompt: meta.magicPrompt,
-        caption: meta.caption,
-        hashtags: meta.hashtags,
-        style: meta.style,
-        ratio: meta.ratio,
-        size: meta.size,
-        model: meta.model,
-        request_id: meta.requestId,
-        image_url: meta.imageUrl,
-        created_at: new Date().toISOString(),
+/* ============  USER CONTEXT AND CREDITS HOOKS  ============ */
+
+// The caller as resolved by the `authenticate` middleware.
+// userId / plan are never taken from client headers or body anymore.
+function getUserContext(req) {
+  if (req.lmxUser) {
+    return req.lmxUser;
+  }
+
+  return {
+    userId: null,       // string or null
+    isGuest: true,      // true when no verified identity
+    plan: "free",       // guests are always on free
+    teamId: null,
+    authMethod: "guest",
+  };
+}
+
+// The address Express resolved with "trust proxy" (see LMX_TRUST_PROXY): the
+// socket peer, or the hop our own proxy reported. The raw X-Forwarded-For
+// header is client-controlled and never read directly.
+function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+/* ============  BANS  ============ */
+
+// Static base from env (still honored, needs a redeploy to change):
+// LMX_BANNED_USER_IDS = "user1,user2"
+// LMX_BANNED_IPS = "1.2.3.4,5.6.7.8,10.0.0.0/8"
+// Runtime bans live in the "bans" store and are managed through /admin/bans.
+// Every ban / unban is appended to the "ban_audit" store.
+// An "api_key" ban holds a team key's public id and blocks that key only, not
+// the rest of the team.
+const BAN_TYPES = ["user", "ip", "cidr", "api_key"];
+
+const bansStore = createStore("bans");
+const banAudit = createStore("ban_audit");
+
+function parseEnvList(value) {
+  return (value || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// "::ffff:1.2.3.4" (IPv4-mapped, what Node reports on dual-stack sockets) → "1.2.3.4"
+function normalizeIp(ip) {
+  if (!ip) return null;
+  const trimmed = ip.trim();
+  return /^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(trimmed) ? trimmed.slice(7) : trimmed;
+}
+
+// "10.0.0.0/8" → { address, prefix, family } or null when malformed.
+function parseCidr(value) {
+  const [address, prefixText] = (value || "").split("/");
+  const family = net.isIP(address);
+  const prefix = Number(prefixText);
+  const maxPrefix = family === 4 ? 32 : 128;
+  if (!family || !Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return null;
+  }
+  return { address, prefix, family: family === 4 ? "ipv4" : "ipv6" };
+}
+
+function ipInCidr(ip, cidr) {
+  const range = parseCidr(cidr);
+  const family = net.isIP(ip);
+  if (!range || !family) return false;
+
+  const list = new net.BlockList();
+  list.addSubnet(range.address, range.prefix, range.family);
+  return list.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+function isBanActive(ban, now = Date.now()) {
+  if (ban.revokedAt) return false;
+  if (ban.expiresAt && Date.parse(ban.expiresAt) <= now) return false;
+  return true;
+}
+
+function banMatches(ban, userId, ip, apiKeyId) {
+  if (ban.type === "user") return !!userId && ban.value === userId;
+  if (ban.type === "api_key") return !!apiKeyId && ban.value === apiKeyId;
+  if (ban.type === "ip") return !!ip && normalizeIp(ban.value) === ip;
+  if (ban.type === "cidr") return !!ip && ipInCidr(ip, ban.value);
+  return false;
+}
+
+async function recordBanAudit(action, entry) {
+  const id = `${Date.now().toString(36)}_${crypto.randomBytes(4).toString("hex")}`;
+  await banAudit.set(id, {
+    id,
+    action,
+    ...entry,
+    at: new Date().toISOString(),
+  });
+}
+
+// Creates a runtime ban. Returns { ok, ban } or { ok: false, code, message }.
+async function createBan({ type, value, reason, expiresAt = null, issuedBy }) {
+  if (!BAN_TYPES.includes(type)) {
+    return { ok: false, code: "invalid_ban_type", message: `type must be one of ${BAN_TYPES.join(", ")}.` };
+  }
+
+  let normalizedValue = (value || "").toString().trim();
+  if (type === "ip") {
+    normalizedValue = normalizeIp(normalizedValue);
+    if (!net.isIP(normalizedValue)) {
+      return { ok: false, code: "invalid_ip", message: "value must be an IPv4 or IPv6 address." };
+    }
+  } else if (type === "cidr") {
+    if (!parseCidr(normalizedValue)) {
+      return { ok: false, code: "invalid_cidr", message: "value must be a CIDR range like 10.0.0.0/8." };
+    }
+  } else if (!normalizedValue) {
+    return { ok: false, code: "missing_value", message: "value is required." };
+  }
+
+  if (expiresAt && !Number.isFinite(Date.parse(expiresAt))) {
+    return { ok: false, code: "invalid_expiry", message: "expiresAt must be an ISO date." };
+  }
+
+  const ban = {
+    id: `ban_${crypto.randomBytes(6).toString("hex")}`,
+    type,
+    value: normalizedValue,
+    reason: reason || null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    issuedBy: issuedBy || null,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    revokedBy: null,
+  };
+
+  await bansStore.set(ban.id, ban);
+  await recordBanAudit("ban", {
+    banId: ban.id,
+    type: ban.type,
+    value: ban.value,
+    reason: ban.reason,
+    expiresAt: ban.expiresAt,
+    moderator: ban.issuedBy,
+  });
+
+  return { ok: true, ban };
+}
+
+// Lifts a runtime ban. Env-list bans can only be lifted by editing env.
+async function revokeBan(banId, { revokedBy, reason } = {}) {
+  const existing = await bansStore.get(banId);
+  if (!existing) return null;
+  if (existing.revokedAt) return existing;
+
+  const ban = await bansStore.update(banId, (current) => ({
+    ...current,
+    revokedAt: new Date().toISOString(),
+    revokedBy: revokedBy || null,
+  }));
+
+  await recordBanAudit("unban", {
+    banId,
+    type: ban.type,
+    value: ban.value,
+    reason: reason || null,
+    moderator: ban.revokedBy,
+  });
+
+  return ban;
+}
+
+async function listBans({ activeOnly = false } = {}) {
+  const all = await bansStore.values();
+  return all
+    .filter((ban) => !activeOnly || isBanActive(ban))
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+const BAN_REASONS = { user: "user_id_banned", api_key: "api_key_banned", ip: "ip_banned", cidr: "ip_banned" };
+
+// Env lists first, then runtime bans (user, ip, cidr, api_key).
+async function checkBan(userCtx, req) {
+  const clientIp = normalizeIp(getClientIp(req));
+  const userId = userCtx.userId || null;
+  const apiKeyId = userCtx.apiKeyId || null;
+
+  if (userId && parseEnvList(process.env.LMX_BANNED_USER_IDS).includes(userId)) {
+    return {
+      banned: true,
+      reason: "user_id_banned",
+      detail: `User ${userId} is banned.`,
+      ip: clientIp || null,
+    };
+  }
+
+  if (clientIp) {
+    const envIpBan = parseEnvList(process.env.LMX_BANNED_IPS).find((entry) =>
+      entry.includes("/") ? ipInCidr(clientIp, entry) : normalizeIp(entry) === clientIp
+    );
+    if (envIpBan) {
+      return {
+        banned: true,
+        reason: "ip_banned",
+        detail: `IP ${clientIp} is banned.`,
+        ip: clientIp,
+      };
+    }
+  }
+
+  const now = Date.now();
+  const ban = (await bansStore.values()).find(
+    (b) => isBanActive(b, now) && banMatches(b, userId, clientIp, apiKeyId)
+  );
+  if (ban) {
+    return {
+      banned: true,
+      reason: BAN_REASONS[ban.type],
+      detail: ban.reason || `${ban.type} ${ban.value} is banned.`,
+      ip: clientIp || null,
+      banId: ban.id,
+      expiresAt: ban.expiresAt,
+    };
+  }
+
+  return { banned: false };
+}
+
+/* ============  STRIKES (AUTOMATIC ESCALATION)  ============ */
+
+// Every blocked prompt is a strike against the signed-in user, the team API key
+// that sent it (one leaked or misused key must not ban the whole team), or the
+// IP for guests (getClientIp, so only our own proxies can set it). Strikes are
+// counted per category inside the window, so three unrelated near-misses do not
+// add up to a cooldown; the category's own steps decide what happens:
+// "warn", "cooldown" (temporary ban for `hours`) or "ban" (permanent). A step
+// with `source: "keyword"` only applies to keyword-rule matches, which are
+// explicit phrases; model scores are probabilities and escalate more slowly.
+// Bans go through createBan, so they show up in /admin/bans and the audit
+// trail like any moderator ban. A subject that is already banned for at least
+// as long is not banned again.
+// LMX_STRIKE_POLICY_JSON = overrides, e.g. {"windowDays": 7, "categories": {"hate": [{"at": 1, "action": "cooldown", "hours": 1}]}}
+const DEFAULT_STRIKE_POLICY = {
+  windowDays: 30,
+  default: [
+    { at: 1, action: "warn" },
+    { at: 3, action: "cooldown", hours: 24 },
+    { at: 5, action: "ban" },
+  ],
+  categories: {
+    // An explicit phrase is banned on the first strike.
+    minor_sexual_content: [
+      { at: 1, action: "ban", source: "keyword" },
+      { at: 1, action: "cooldown", hours: 24 },
+      { at: 3, action: "ban" },
+    ],
+  },
+};
+
+function loadStrikePolicy() {
+  if (!process.env.LMX_STRIKE_POLICY_JSON) return DEFAULT_STRIKE_POLICY;
+  try {
+    const overrides = JSON.parse(process.env.LMX_STRIKE_POLICY_JSON);
+    return {
+      ...DEFAULT_STRIKE_POLICY,
+      ...overrides,
+      categories: { ...DEFAULT_STRIKE_POLICY.categories, ...(overrides.categories || {}) },
+    };
+  } catch (err) {
+    console.error("❌ LMX_STRIKE_POLICY_JSON is not valid JSON; using defaults:", err.message);
+    return DEFAULT_STRIKE_POLICY;
+  }
+}
+
+const STRIKE_POLICY = loadStrikePolicy();
+const strikesStore = createStore("strikes");
+
+// Codes that are our fault, not the user's, never count.
+const NON_STRIKE_CODES = ["moderation_unavailable"];
+
+function strikeSubject(userCtx, req) {
+  if (userCtx.apiKeyId) return { type: "api_key", value: userCtx.apiKeyId };
+  if (userCtx.userId) return { type: "user", value: userCtx.userId };
+  const ip = normalizeIp(getClientIp(req));
+  return ip ? { type: "ip", value: ip } : null;
+}
+
+const STRIKE_ACTION_RANK = { warn: 0, cooldown: 1, ban: 2 };
+
+// Harshest step reached by `count` for this category and match source.
+function strikeStepFor(code, count, source) {
+  const steps = STRIKE_POLICY.categories[code] || STRIKE_POLICY.default;
+  return steps
+    .filter((step) => count >= step.at && (!step.source || step.source === source))
+    .sort((a, b) => STRIKE_ACTION_RANK[b.action] - STRIKE_ACTION_RANK[a.action] || b.at - a.at)[0] || null;
+}
+
+// True when an active runtime ban on the subject already lasts until `expiresAt`
+// (null = permanent).
+async function hasCoveringBan(subject, expiresAt) {
+  const now = Date.now();
+  return (await bansStore.values()).some(
+    (ban) =>
+      isBanActive(ban, now) &&
+      ban.type === subject.type &&
+      ban.value === subject.value &&
+      (!ban.expiresAt || (expiresAt && Date.parse(ban.expiresAt) >= Date.parse(expiresAt)))
+  );
+}
+
+// Records a strike and applies escalation. Returns { count, action, expiresAt }
+// for the response body, or null when nothing was recorded.
+// `source` is "keyword" or "moderation" (see recordBlockedPrompt).
+async function recordStrike(userCtx, req, { code, source, requestId, operation }) {
+  if (!code || NON_STRIKE_CODES.includes(code)) return null;
+
+  const subject = strikeSubject(userCtx, req);
+  if (!subject) return null;
+
+  const strike = {
+    id: `strike_${crypto.randomBytes(6).toString("hex")}`,
+    subjectType: subject.type,
+    subject: subject.value,
+    userId: userCtx.userId || null,
+    ip: normalizeIp(getClientIp(req)),
+    code,
+    source: source || null,
+    operation,
+    requestId,
+    createdAt: new Date().toISOString(),
+  };
+  await strikesStore.set(strike.id, strike);
+
+  const since = new Date(Date.now() - STRIKE_POLICY.windowDays * 24 * 60 * 60 * 1000).toISOString();
+  const count = (await strikesStore.values()).filter(
+    (s) =>
+      s.subjectType === subject.type &&
+      s.subject === subject.value &&
+      s.code === code &&
+      s.createdAt >= since
+  ).length;
+
+  const step = strikeStepFor(code, count, source);
+  const action = step ? step.action : "none";
+  let expiresAt = null;
+
+  if (action === "cooldown" || action === "ban") {
+    expiresAt =
+      action === "cooldown"
+        ? new Date(Date.now() + (step.hours || 24) * 60 * 60 * 1000).toISOString()
+        : null;
+
+    if (!(await hasCoveringBan(subject, expiresAt))) {
+      const { ban } = await createBan({
+        type: subject.type,
+        value: subject.value,
+        reason: `Automatic ${action} after ${count} ${code} strike(s)`,
+        expiresAt,
+        issuedBy: "system:strikes",
       });
+      // Remembered so a false-positive review can lift it again.
+      if (ban) {
+        await strikesStore.update(strike.id, (current) => ({ ...current, banId: ban.id }));
+      }
+    }
+  }
+
+  console.warn("🥊 Strike recorded", {
+    requestId,
+    subject: `${subject.type}:${subject.value}`,
+    code,
+    count,
+    action,
+    expiresAt,
+  });
+
+  return { count, action, expiresAt };
+}
+
+/* ============  MODERATION REVIEW QUEUE  ============ */
+
+// Every blocked prompt and quarantined output becomes a "pending" event for
+// trust & safety (see /admin/moderation/*). Reviewers mark it "confirmed" or
+// "false_positive"; a false positive drops the strike it caused, lifts the
+// automatic ban that strike issued (logged in ban_audit), and can add an
+// allow-list phrase to the content rules.
+const REVIEW_VERDICTS = ["confirmed", "false_positive"];
+const moderationEvents = createStore("moderation_events");
+
+async function recordModerationEvent(userCtx, req, event) {
+  const record = {
+    id: `mev_${crypto.randomBytes(6).toString("hex")}`,
+    status: "pending",
+    userId: userCtx.userId || null,
+    teamId: userCtx.teamId || null,
+    ip: normalizeIp(getClientIp(req)),
+    ...event,
+    createdAt: new Date().toISOString(),
+    reviewedAt: null,
+    reviewedBy: null,
+    note: null,
+  };
+  await moderationEvents.set(record.id, record);
+  return record;
+}
+
+// Called wherever a prompt is blocked: queues it for review and records the
+// strike. Returns the strike summary for the response body.
+async function recordBlockedPrompt(userCtx, req, { safety, prompt, requestId, operation }) {
+  const source = safety.provider ? "moderation" : "keyword";
+  await recordModerationEvent(userCtx, req, {
+    kind: "prompt",
+    source,
+    code: safety.code || "unsafe_content",
+    category: safety.category || null,
+    score: safety.score ?? null,
+    matched: safety.matched || null,
+    ruleVersion: safety.ruleVersion || null,
+    prompt: prompt || null,
+    operation,
+    requestId,
+  });
+
+  return recordStrike(userCtx, req, { code: safety.code, source, requestId, operation });
+}
+
+// Per rule code: how many blocks, how they were reviewed, and the share of
+// reviewed ones that were false positives.
+async function moderationStats() {
+  const byCode = {};
+  for (const event of await moderationEvents.values()) {
+    const row = (byCode[event.code] = byCode[event.code] || {
+      code: event.code,
+      total: 0,
+      pending: 0,
+      confirmed: 0,
+      falsePositive: 0,
+    });
+    row.total += 1;
+    if (event.status === "pending") row.pending += 1;
+    if (event.status === "confirmed") row.confirmed += 1;
+    if (event.status === "false_positive") row.falsePositive += 1;
+  }
+
+  return Object.values(byCode)
+    .map((row) => {
+      const reviewed = row.confirmed + row.falsePositive;
+      return {
+        ...row,
+        falsePositiveRate: reviewed > 0 ? Number((row.falsePositive / reviewed).toFixed(3)) : null,
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+}
+
+/* ============  IMAGE MODELS + PROVIDERS  ============ */
+
+// The client's `model` is looked up here instead of going straight to a vendor.
+// IMAGE_MODELS declares what exists: which provider serves it, the sizes it
+// can render, its features ("generate", "edit", "transparent") and the plans
+// that may pick it. Unknown or disabled models are rejected with unknown_model.
+// LMX_IMAGE_MODELS = enabled models, comma separated (default "gpt-image-1,dall-e-3";
+//   add "lmx-stub" for offline development and tests)
+// LMX_DEFAULT_IMAGE_MODEL = used when the request has no `model` (default: first enabled)
+const IMAGE_MODELS = {
+  "gpt-image-1": {
+    provider: "openai",
+    label: "GPT Image 1",
+    sizes: ["1024x1024", "1024x1536", "1536x1024"],
+    features: ["generate", "edit", "transparent"],
+    plans: ["free", "creator", "pro", "studio"],
+  },
+  "dall-e-3": {
+    provider: "openai",
+    label: "DALL·E 3",
+    sizes: ["1024x1024", "1024x1792", "1792x1024"],
+    features: ["generate"],
+    plans: ["creator", "pro", "studio"],
+    options: { response_format: "b64_json" },
+  },
+  "lmx-stub": {
+    provider: "stub",
+    label: "LMX stub (offline)",
+    sizes: ["1024x1024", "1024x1536", "1536x1024", "1024x1792", "1792x1024"],
+    features: ["generate", "edit", "transparent"],
+    plans: ["free", "creator", "pro", "studio"],
+  },
+};
+
+const ENABLED_IMAGE_MODELS = parseEnvList(
+  process.env.LMX_IMAGE_MODELS || "gpt-image-1,dall-e-3"
+).filter((id) => {
+  if (IMAGE_MODELS[id]) return true;
+  console.warn(`⚠️  LMX_IMAGE_MODELS lists unknown model "${id}"; ignoring it.`);
+  return false;
+});
+const DEFAULT_IMAGE_MODEL = process.env.LMX_DEFAULT_IMAGE_MODEL || ENABLED_IMAGE_MODELS[0];
+
+// Every provider implements:
+//   generate({ model, prompt, size, signal }) → { base64, raw }
+//   edit({ model, prompt, image, mimeType, size, transparent, signal }) → { base64, raw }
+// `size` on edit is optional; without it the output follows the source framing.
+// `model` is the registry entry (with its id); `base64` is PNG/JPEG data or null.
+const IMAGE_PROVIDERS = {
+  openai: {
+    async generate({ model, prompt, size, signal }) {
+      const response = await client.images.generate(
+        { model: model.id, prompt, n: 1, size, ...(model.options || {}) },
+        { signal }
+      );
+      return { base64: response?.data?.[0]?.b64_json || null, raw: response };
+    },
+    async edit({ model, prompt, image, mimeType, size, transparent, signal }) {
+      const response = await client.images.edit(
+        {
+          model: model.id,
+          image: await toOpenAIImageFile(image, mimeType),
+          prompt,
+          n: 1,
+          ...(size ? { size } : {}),
+          ...(transparent ? { background: "transparent", output_format: "png" } : {}),
+        },
+        { signal }
+      );
+      return { base64: response?.data?.[0]?.b64_json || null, raw: response };
+    },
+  },
+  // Same input → same pixels, no network. generate draws a gradient from a
+  // hash of model/size/prompt; edit tints the source and, for transparent
+  // edits, keeps a centered ellipse as the "subject".
+  stub: {
+    async generate({ model, prompt, size }) {
+      const [width, height] = size.split("x").map(Number);
+      const digest = crypto.createHash("sha256").update(`${model.id}|${size}|${prompt}`).digest("hex");
+      const svg =
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">` +
+        `<stop offset="0" stop-color="#${digest.slice(0, 6)}"/>` +
+        `<stop offset="1" stop-color="#${digest.slice(6, 12)}"/>` +
+        `</linearGradient></defs><rect width="100%" height="100%" fill="url(#g)"/></svg>`;
+      const png = await sharp(Buffer.from(svg)).png().toBuffer();
+      return { base64: png.toString("base64"), raw: { provider: "stub" } };
+    },
+    async edit({ model, prompt, image, transparent }) {
+      const digest = crypto.createHash("sha256").update(`${model.id}|${prompt}`).digest("hex");
+      const source = sharp(image).rotate();
+      const { width, height } = await source.metadata().then((meta) =>
+        (meta.orientation || 1) >= 5 ? { width: meta.height, height: meta.width } : meta
+      );
+
+      let pipeline = source.tint(`#${digest.slice(0, 6)}`).ensureAlpha();
+      if (transparent) {
+        const ellipse = Buffer.from(
+          `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+            `<ellipse cx="50%" cy="50%" rx="35%" ry="40%" fill="#fff"/></svg>`
+        );
+        pipeline = pipeline.composite([{ input: ellipse, blend: "dest-in" }]);
+      }
+      const png = await pipeline.png().toBuffer();
+      return { base64: png.toString("base64"), raw: { provider: "stub" } };
+    },
+  },
+};
+
+// Enabled models a plan may pick.
+function imageModelsForPlan(plan) {
+  return ENABLED_IMAGE_MODELS.filter((id) => IMAGE_MODELS[id].plans.includes(plan));
+}
+
+// Looks up the request's `model` (or the default). Returns { ok, model } with
+// the registry entry, or { ok: false, body } for a 400.
+function resolveImageModel(rawModel, { feature } = {}) {
+  const id = (rawModel || "").toString().trim() || DEFAULT_IMAGE_MODEL;
+  if (!ENABLED_IMAGE_MODELS.includes(id)) {
+    return {
+      ok: false,
+      body: {
+        error: "unknown_model",
+        message: `Unknown model "${id}". Available models: ${ENABLED_IMAGE_MODELS.join(", ")}.`,
+        code: "unknown_model",
+        availableModels: ENABLED_IMAGE_MODELS,
+      },
+    };
+  }
+
+  const model = { id, ...IMAGE_MODELS[id] };
+  if (feature && !model.features.includes(feature)) {
+    return modelFeatureError(model, feature);
+  }
+  return { ok: true, model };
+}
+
+const IMAGE_MODEL_FEATURE_LABELS = {
+  generate: "text-to-image generation",
+  edit: "image editing",
+  transparent: "transparent backgrounds",
+};
+
+function modelFeatureError(model, feature) {
+  return {
+    ok: false,
+    body: {
+      error: "model_feature_unsupported",
+      message: `Model "${model.id}" does not support ${IMAGE_MODEL_FEATURE_LABELS[feature] || feature}.`,
+      code: "model_feature_unsupported",
+      availableModels: ENABLED_IMAGE_MODELS.filter((id) => IMAGE_MODELS[id].features.includes(feature)),
+    },
+  };
+}
+
+function getImageProvider(model) {
+  const provider = IMAGE_PROVIDERS[model.provider];
+  if (!provider) {
+    throw new Error(`No image provider "${model.provider}" for model ${model.id}`);
+  }
+  return provider;
+}
+
+/* ============  PLAN ENTITLEMENTS  ============ */
+
+// Single source of truth for what each plan may do. Every run* function checks
+// it through checkEntitlement, and GET /lmx1/plans hands the same table to the
+// frontend for upgrade prompts. What things cost lives in PRICING below.
+// - operations:       which operations the plan may run
+// - models:           image models the caller may pick (from IMAGE_MODELS[].plans,
+//                     unless overridden; disabled models are dropped either way)
+// - maxBatch:         frames per generate request (variations × styles)
+// - maxResolution:    longest side in px of any output (and of remove-bg sources)
+// - maxUpscaleFactor: largest `scale` for /lmx1/upscale
+// - dailyCaps:        max runs per operation per UTC day (missing = no cap)
+// LMX_PLAN_ENTITLEMENTS_JSON = per-plan overrides, e.g. {"free": {"dailyCaps": {"generate": 10}}}
+const PLAN_ORDER = ["free", "creator", "pro", "studio"];
+
+const DEFAULT_PLAN_ENTITLEMENTS = {
+  free: {
+    operations: ["generate", "upscale"],
+    maxBatch: 2,
+    maxResolution: 2048,
+    maxUpscaleFactor: 2,
+    dailyCaps: { generate: 25, upscale: 5 },
+  },
+  creator: {
+    operations: ["generate", "remix", "upscale", "remove-background"],
+    maxBatch: 4,
+    maxResolution: 4096,
+    maxUpscaleFactor: 4,
+    dailyCaps: { generate: 300, remix: 150, upscale: 100, "remove-background": 100 },
+  },
+  pro: {
+    operations: ["generate", "remix", "upscale", "remove-background"],
+    maxBatch: 6,
+    maxResolution: 6144,
+    maxUpscaleFactor: 4,
+    dailyCaps: { generate: 1000, remix: 500, upscale: 300, "remove-background": 300 },
+  },
+  studio: {
+    operations: ["generate", "remix", "upscale", "remove-background"],
+    maxBatch: 8,
+    maxResolution: 8192,
+    maxUpscaleFactor: 4,
+    dailyCaps: {},
+  },
+};
+
+function loadPlanEntitlements() {
+  if (!process.env.LMX_PLAN_ENTITLEMENTS_JSON) return DEFAULT_PLAN_ENTITLEMENTS;
+  try {
+    const overrides = JSON.parse(process.env.LMX_PLAN_ENTITLEMENTS_JSON);
+    const merged = {};
+    for (const plan of PLAN_ORDER) {
+      const base = DEFAULT_PLAN_ENTITLEMENTS[plan];
+      const override = overrides[plan] || {};
+      merged[plan] = {
+        ...base,
+        ...override,
+        dailyCaps: { ...base.dailyCaps, ...(override.dailyCaps || {}) },
+      };
+      if ("models" in override && !Array.isArray(override.models)) {
+        console.warn(`⚠️  LMX_PLAN_ENTITLEMENTS_JSON: ${plan}.models must be a list of model ids; ignoring it.`);
+        delete merged[plan].models;
+      }
+      for (const id of merged[plan].models || []) {
+        if (!ENABLED_IMAGE_MODELS.includes(id)) {
+          console.warn(`⚠️  LMX_PLAN_ENTITLEMENTS_JSON: ${plan}.models lists "${id}", which is not enabled; ignoring it.`);
+        }
+      }
+    }
+    return merged;
+  } catch (err) {
+    console.error("❌ LMX_PLAN_ENTITLEMENTS_JSON is not valid JSON; using defaults:", err.message);
+    return DEFAULT_PLAN_ENTITLEMENTS;
+  }
+}
+
+const PLAN_ENTITLEMENTS = loadPlanEntitlements();
+
+function getPlanEntitlements(plan) {
+  const key = PLAN_ENTITLEMENTS[plan] ? plan : "free";
+  const override = PLAN_ENTITLEMENTS[key].models;
+  const models = override
+    ? override.filter((id) => ENABLED_IMAGE_MODELS.includes(id))
+    : imageModelsForPlan(key);
+  return { ...PLAN_ENTITLEMENTS[key], models };
+}
+
+// Cheapest plan that passes `test`, for "upgrade to X" prompts.
+function lowestPlanWhere(test) {
+  return PLAN_ORDER.find((plan) => test(getPlanEntitlements(plan))) || null;
+}
+
+function startOfUtcDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+// Runs today = debits today that were not refunded, so failed renders don't count.
+async function countDailyUsage(accountId, operation) {
+  const since = startOfUtcDay().toISOString();
+  return (await accountTransactionsSince(accountId, since)).filter(
+    (tx) => tx.type === "debit" && tx.operation === operation && !tx.refunded
+  ).length;
+}
+
+// Returns { ok: true, entitlements } or { ok: false, status, body } ready to
+// hand back from a run* function. Pass whatever is known at the call site:
+// model, width/height of the output (or source), and `frames` when one request
+// renders several (a batch needs room for all of them under the daily cap).
+async function checkEntitlement(userCtx, req, { operation, model, width, height, frames = 1, requestId }) {
+  const entitlements = getPlanEntitlements(userCtx.plan);
+  const deny = (status, body) => ({
+    ok: false,
+    status,
+    body: { ...body, plan: userCtx.plan, requestId },
+  });
+
+  if (!entitlements.operations.includes(operation)) {
+    return deny(403, {
+      error: "plan_not_allowed",
+      message: `Your plan does not include ${operation}.`,
+      code: "operation_not_in_plan",
+      requiredPlan: lowestPlanWhere((e) => e.operations.includes(operation)),
+    });
+  }
+
+  if (model && !entitlements.models.includes(model)) {
+    return deny(403, {
+      error: "plan_not_allowed",
+      message: `Model ${model} is not available on your plan.`,
+      code: "model_not_in_plan",
+      allowedModels: entitlements.models,
+      requiredPlan: lowestPlanWhere((e) => e.models.includes(model)),
+    });
+  }
+
+  const longSide = Math.max(Number(width) || 0, Number(height) || 0);
+  if (longSide > entitlements.maxResolution) {
+    return deny(403, {
+      error: "plan_not_allowed",
+      message: `Your plan allows images up to ${entitlements.maxResolution}px on the long side.`,
+      code: "resolution_not_in_plan",
+      maxResolution: entitlements.maxResolution,
+      requiredPlan: lowestPlanWhere((e) => e.maxResolution >= longSide),
+    });
+  }
+
+  const cap = entitlements.dailyCaps[operation];
+  if (cap !== undefined && cap !== null) {
+    const used = await countDailyUsage(getLedgerAccountId(userCtx, getClientIp(req)), operation);
+    if (used + frames > cap) {
+      const resetAt = new Date(startOfUtcDay().getTime() + 24 * 60 * 60 * 1000).toISOString();
+      return deny(429, {
+        error: "daily_cap_reached",
+        message:
+          frames > 1 && used < cap
+            ? `Your plan allows ${cap} ${operation} runs per day; ${cap - used} left today.`
+            : `Your plan allows ${cap} ${operation} runs per day.`,
+        code: "daily_cap_reached",
+        dailyCap: cap,
+        remainingToday: Math.max(cap - used, 0),
+        resetAt,
+        requiredPlan: lowestPlanWhere((e) => {
+          const next = e.dailyCaps[operation];
+          return next === undefined || next === null || next > cap;
+        }),
+      });
+    }
+  }
+
+  return { ok: true, entitlements };
+}
+
+/* ============  PRICING  ============ */
+
+// Credits for one frame = operation base × model multiplier × size multiplier,
+// rounded up. Batches pay per frame, minus the best matching volume discount
+// (also rounded up, never below 1).
+// Sizes are the longest side of the output; the first tier that fits wins
+// (maxSide null = anything larger).
+// LMX_PRICING_JSON = overrides, e.g. {"operations": {"upscale": 2}, "models": {"dall-e-3": 2}}
+const DEFAULT_PRICING = {
+  operations: { generate: 1, remix: 1, upscale: 1, "remove-background": 1 },
+  models: { "gpt-image-1": 1, "dall-e-3": 1 },
+  sizes: [
+    { maxSide: 1024, multiplier: 1 },
+    { maxSide: 2048, multiplier: 1.5 },
+    { maxSide: 4096, multiplier: 2 },
+    { maxSide: null, multiplier: 3 },
+  ],
+  batchDiscounts: [{ minFrames: 6, percent: 25 }],
+};
+
+function loadPricing() {
+  if (!process.env.LMX_PRICING_JSON) return DEFAULT_PRICING;
+  try {
+    const overrides = JSON.parse(process.env.LMX_PRICING_JSON);
+    return {
+      operations: { ...DEFAULT_PRICING.operations, ...(overrides.operations || {}) },
+      models: { ...DEFAULT_PRICING.models, ...(overrides.models || {}) },
+      sizes: overrides.sizes || DEFAULT_PRICING.sizes,
+      batchDiscounts: overrides.batchDiscounts || DEFAULT_PRICING.batchDiscounts,
+    };
+  } catch (err) {
+    console.error("❌ LMX_PRICING_JSON is not valid JSON; using defaults:", err.message);
+    return DEFAULT_PRICING;
+  }
+}
+
+const PRICING = loadPricing();
+
+// Returns { unit, frames, total } in whole credits.
+function priceFor({ operation, model, width, height, frames = 1 }) {
+  const base = PRICING.operations[operation] ?? 1;
+  const modelMultiplier = (model && PRICING.models[model]) ?? 1;
+  const longSide = Math.max(Number(width) || 0, Number(height) || 0);
+  const tier = PRICING.sizes.find((t) => t.maxSide === null || longSide <= t.maxSide);
+  const sizeMultiplier = tier ? tier.multiplier : 1;
+
+  let unit = Math.ceil(base * modelMultiplier * sizeMultiplier);
+
+  const discount = PRICING.batchDiscounts
+    .filter((d) => frames >= d.minFrames)
+    .sort((a, b) => b.percent - a.percent)[0];
+  if (discount) {
+    unit = Math.max(1, Math.ceil((unit * (100 - discount.percent)) / 100));
+  }
+
+  return { unit, frames, total: unit * frames };
+}
+
+/* ============  CREDIT LEDGER  ============ */
+
+// Credits live on the server. The frontend can no longer send its own balance.
+// LMX_STARTER_CREDITS = credits granted the first time an account is seen (default 10)
+const STARTER_CREDITS = Number(process.env.LMX_STARTER_CREDITS ?? 10);
+
+const creditAccounts = createStore("credit_accounts");
+const creditTransactions = createStore("credit_transactions");
+// accountId → { ids } in the order the transactions were written, so per-account
+// reads (credits route, daily caps) never scan the whole ledger.
+const creditTransactionIndex = createStore("credit_transactions_by_account");
+
+// Signed-in users get their own account; guests share a balance per client IP
+// (getClientIp, which only trusts our own proxies).
+function getLedgerAccountId(userCtx, clientIp) {
+  if (userCtx.userId) return userCtx.userId;
+  return `guest:${clientIp || "unknown"}`;
+}
+
+async function indexCreditTransaction(accountId, id) {
+  await creditTransactionIndex.update(accountId, (current) => {
+    const ids = current?.ids || [];
+    return ids.includes(id) ? current : { accountId, ids: [...ids, id] };
+  });
+}
+
+// Newest first, walking the account's index back until `since` (ISO date) or `limit`.
+async function accountTransactionsSince(accountId, since = "", limit = Infinity) {
+  const ids = (await creditTransactionIndex.get(accountId))?.ids || [];
+  const out = [];
+  for (let i = ids.length - 1; i >= 0 && out.length < limit; i--) {
+    const tx = await creditTransactions.get(ids[i]);
+    if (!tx) continue;
+    if (tx.createdAt < since) break;
+    out.push(tx);
+  }
+  return out;
+}
+
+// Ledgers written before the index existed get indexed once at startup.
+async function backfillCreditTransactionIndex() {
+  if ((await creditTransactionIndex.values()).length > 0) return;
+  const all = (await creditTransactions.values()).sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  for (const tx of all) {
+    if (tx.accountId) await indexCreditTransaction(tx.accountId, tx.id);
+  }
+}
+
+backfillCreditTransactionIndex().catch((err) => {
+  console.error("❌ backfillCreditTransactionIndex error:", err);
+});
+
+async function recordCreditTransaction(key, tx) {
+  const entry = {
+    id: key,
+    createdAt: new Date().toISOString(),
+    ...tx,
+  };
+  await creditTransactions.set(key, entry);
+  await indexCreditTransaction(entry.accountId, key);
+  return entry;
+}
+
+// Creates the account (with starter credits) on first use.
+async function ensureCreditAccount(accountId) {
+  let created = false;
+  const account = await creditAccounts.update(accountId, (current) => {
+    if (current) return current;
+    created = true;
+    const now = new Date().toISOString();
+    return {
+      accountId,
+      balance: STARTER_CREDITS,
+      createdAt: now,
+      updatedAt: now,
+    };
+  });
+
+  if (created && STARTER_CREDITS > 0) {
+    await recordCreditTransaction(`grant:${accountId}:starter`, {
+      accountId,
+      type: "grant",
+      amount: STARTER_CREDITS,
+      reason: "starter_credits",
+      balanceAfter: account.balance,
+    });
+  }
+
+  return account;
+}
+
+async function getCreditBalance(accountId) {
+  const account = await ensureCreditAccount(accountId);
+  return account.balance;
+}
+
+// Adds credits (purchases, renewals, manual grants).
+// With a `reference` (Stripe session / invoice id) the grant only ever applies once.
+async function grantCredits(accountId, amount, { reason, reference } = {}) {
+  await ensureCreditAccount(accountId);
+
+  // Claim the ledger row first (atomic update), so two deliveries of the same
+  // reference can never both add credits.
+  const key = `grant:${accountId}:${reference || makeRequestId()}`;
+  let claimed = false;
+  await creditTransactions.update(key, (current) => {
+    if (current) return current;
+    claimed = true;
+    return {
+      id: key,
+      createdAt: new Date().toISOString(),
+      accountId,
+      type: "grant",
+      amount,
+      reason: reason || "manual_grant",
+      reference: reference || null,
+    };
+  });
+  if (!claimed) {
+    return getCreditBalance(accountId);
+  }
+  await indexCreditTransaction(accountId, key);
+
+  const account = await creditAccounts.update(accountId, (current) => ({
+    ...current,
+    balance: current.balance + amount,
+    updatedAt: new Date().toISOString(),
+  }));
+  await creditTransactions.update(key, (current) => ({ ...current, balanceAfter: account.balance }));
+
+  return account.balance;
+}
+
+// Credits move in three steps per request, all keyed by requestId:
+// reserveCredits (balance goes down before the provider call) →
+// commitCredits (the frame was delivered) or releaseCredits (it failed, was
+// blocked or cancelled; the balance comes back). Reservations nobody settles
+// (crash mid-request) are released after LMX_RESERVATION_TTL_MINUTES.
+const RESERVATION_TTL_MS = (Number(process.env.LMX_RESERVATION_TTL_MINUTES) || 15) * 60 * 1000;
+
+// Returns { ok, code, message, remaining } in the same shape the routes already use.
+// Reserving the same requestId twice only charges once.
+async function reserveCredits(accountId, amount, { requestId, operation }) {
+  await ensureCreditAccount(accountId);
+
+  // Claim the debit row atomically so concurrent calls with one requestId charge once.
+  const key = `debit:${requestId}`;
+  let claimed = false;
+  await creditTransactions.update(key, (current) => {
+    if (current && current.status !== "released") return current;
+    claimed = true;
+    return {
+      id: key,
+      createdAt: new Date().toISOString(),
+      accountId,
+      type: "debit",
+      status: "reserved",
+      amount: -amount,
+      requestId,
+      operation,
+      refunded: false,
+    };
+  });
+  if (!claimed) {
+    return {
+      ok: true,
+      code: "already_reserved",
+      message: "Credits already reserved for this request.",
+      remaining: await getCreditBalance(accountId),
+    };
+  }
+
+  let allowed = false;
+  const account = await creditAccounts.update(accountId, (current) => {
+    if (current.balance < amount) return current;
+    allowed = true;
+    return {
+      ...current,
+      balance: current.balance - amount,
+      updatedAt: new Date().toISOString(),
+    };
+  });
+
+  if (!allowed) {
+    await creditTransactions.delete(key);
+    return {
+      ok: false,
+      code: "no_credits",
+      message: "You are out of credits.",
+      remaining: account.balance,
+    };
+  }
+
+  await creditTransactions.update(key, (current) => ({ ...current, balanceAfter: account.balance }));
+  await indexCreditTransaction(accountId, key);
+
+  return {
+    ok: true,
+    code: "reserved",
+    message: "Credits reserved.",
+    remaining: account.balance,
+  };
+}
+
+// Makes a reservation final. No-op unless it is still reserved.
+async function commitCredits(requestId) {
+  let committed = false;
+  await creditTransactions.update(`debit:${requestId}`, (current) => {
+    if (!current || current.status !== "reserved") return current;
+    committed = true;
+    return { ...current, status: "committed", committedAt: new Date().toISOString() };
+  });
+  return committed;
+}
+
+// Gives back a reservation (the provider call failed, the output was blocked,
+// the job was cancelled). Safe to call more than once; committed debits stay.
+async function releaseCredits(requestId, reason) {
+  let debit = null;
+  await creditTransactions.update(`debit:${requestId}`, (current) => {
+    if (!current || current.status !== "reserved") return current;
+    debit = current;
+    return { ...current, status: "released", refunded: true };
+  });
+  if (!debit) return false;
+
+  const account = await creditAccounts.update(debit.accountId, (current) => ({
+    ...current,
+    balance: current.balance - debit.amount,
+    updatedAt: new Date().toISOString(),
+  }));
+
+  await recordCreditTransaction(`refund:${requestId}`, {
+    accountId: debit.accountId,
+    type: "refund",
+    amount: -debit.amount,
+    requestId,
+    operation: debit.operation,
+    reason: reason || "generation_failed",
+    balanceAfter: account.balance,
+  });
+
+  return true;
+}
+
+async function releaseStaleReservations() {
+  const cutoff = new Date(Date.now() - RESERVATION_TTL_MS).toISOString();
+  const stale = (await creditTransactions.values()).filter(
+    (tx) => tx.type === "debit" && tx.status === "reserved" && tx.createdAt < cutoff
+  );
+  for (const tx of stale) {
+    await releaseCredits(tx.requestId, "reservation_expired");
+  }
+  if (stale.length > 0) {
+    console.log("🧾 Released stale credit reservations", { count: stale.length });
+  }
+}
+
+releaseStaleReservations().catch((err) => {
+  console.error("❌ releaseStaleReservations error:", err);
+});
+setInterval(() => {
+  releaseStaleReservations().catch((err) => {
+    console.error("❌ releaseStaleReservations error:", err);
+  });
+}, 5 * 60 * 1000).unref();
+
+// Newest first (in the order they were written).
+async function listCreditTransactions(accountId, limit = 20) {
+  return accountTransactionsSince(accountId, "", limit);
+}
+
+// Reserves the price of one request (PRICING) before the provider call.
+// The balance comes from the ledger, not from the request. Store errors throw
+// and end up in the route's 500 handler instead of failing open.
+// `cost` overrides the computed price (batch frames carry their discounted unit).
+async function reserveOperationCredits(userCtx, req, { requestId, operation, model, width, height, cost }) {
+  const accountId = getLedgerAccountId(userCtx, getClientIp(req));
+  const amount = cost ?? priceFor({ operation, model, width, height }).unit;
+  const result = await reserveCredits(accountId, amount, { requestId, operation });
+  return { ...result, cost: amount };
+}
+
+/* ============  USER ACCOUNTS (PLAN RECORDS)  ============ */
+
+// Server-side record per LMX user: plan, Stripe customer and subscription state.
+// Written by the Stripe webhook.
+const userAccounts = createStore("user_accounts");
+
+async function getUserAccount(userId) {
+  return userAccounts.get(userId);
+}
+
+async function updateUserAccount(userId, changes) {
+  const now = new Date().toISOString();
+  return userAccounts.update(userId, (current) => ({
+    userId,
+    plan: "free",
+    createdAt: now,
+    ...current,
+    ...changes,
+    updatedAt: now,
+  }));
+}
+
+async function findUserIdByStripeCustomer(customerId) {
+  if (!customerId) return null;
+  const accounts = await userAccounts.values();
+  const match = accounts.find((a) => a.stripeCustomerId === customerId);
+  return match ? match.userId : null;
+}
+
+/* ============  STRIPE CUSTOMERS  ============ */
+
+// Each LMX user maps to exactly one Stripe customer, created on first checkout.
+async function getOrCreateStripeCustomer(userId) {
+  const account = await getUserAccount(userId);
+  if (account?.stripeCustomerId) {
+    return account.stripeCustomerId;
+  }
+
+  const customer = await stripe.customers.create(
+    { metadata: { lmx_user_id: userId } },
+    { idempotencyKey: `lmx_customer_${userId}` }
+  );
+
+  await updateUserAccount(userId, { stripeCustomerId: customer.id });
+  return customer.id;
+}
+
+/* ============  STRIPE BILLING EVENTS  ============ */
+
+// Stripe price id → LMX plan. Copy the ids from your Stripe dashboard:
+// STRIPE_PRICE_CREATOR / STRIPE_PRICE_PRO / STRIPE_PRICE_STUDIO
+const PLAN_PRICE_IDS = {
+  creator: process.env.STRIPE_PRICE_CREATOR || "",
+  pro: process.env.STRIPE_PRICE_PRO || "",
+  studio: process.env.STRIPE_PRICE_STUDIO || "",
+};
+
+// Credits granted every time a subscription invoice is paid.
+const PLAN_MONTHLY_CREDITS = {
+  creator: 200,
+  pro: 600,
+  studio: 2000,
+};
+
+// One-time credit packs sold through Checkout (mode: "payment").
+// STRIPE_PRICE_PACK_100 / STRIPE_PRICE_PACK_500 / STRIPE_PRICE_PACK_2000
+const CREDIT_PACKS = {
+  pack_100: { credits: 100, priceId: process.env.STRIPE_PRICE_PACK_100 || "" },
+  pack_500: { credits: 500, priceId: process.env.STRIPE_PRICE_PACK_500 || "" },
+  pack_2000: { credits: 2000, priceId: process.env.STRIPE_PRICE_PACK_2000 || "" },
+};
+
+// Where Stripe sends the user back to. Kept server-side so nobody can
+// turn our Checkout into an open redirect.
+const APP_URL = (process.env.LMX_APP_URL || "http://localhost:5173").replace(/\/+$/, "");
+const BILLING_SUCCESS_URL =
+  process.env.LMX_BILLING_SUCCESS_URL || `${APP_URL}/billing/success?session_id={CHECKOUT_SESSION_ID}`;
+const BILLING_CANCEL_URL = process.env.LMX_BILLING_CANCEL_URL || `${APP_URL}/billing/cancel`;
+const BILLING_RETURN_URL = process.env.LMX_BILLING_RETURN_URL || `${APP_URL}/account`;
+
+// Days a user keeps their plan after a failed renewal payment.
+const BILLING_GRACE_DAYS = Number(process.env.LMX_BILLING_GRACE_DAYS ?? 3);
+
+// Every verified event is stored by its Stripe id so retries are processed once.
+const stripeEvents = createStore("stripe_events");
+
+// A "processing" claim older than this belongs to a crashed or hung attempt;
+// Stripe's next retry takes it over instead of being answered as a duplicate.
+// LMX_STRIPE_PROCESSING_TIMEOUT_SECONDS (default 120)
+const STRIPE_PROCESSING_TIMEOUT_MS =
+  (Number(process.env.LMX_STRIPE_PROCESSING_TIMEOUT_SECONDS) || 120) * 1000;
+
+function planFromPriceId(priceId) {
+  if (!priceId) return null;
+  const match = Object.entries(PLAN_PRICE_IDS).find(([, id]) => id && id === priceId);
+  return match ? match[0] : null;
+}
+
+function planFromSubscription(subscription) {
+  const fromMetadata = (subscription.metadata?.lmx_plan || "").toLowerCase();
+  if (PLAN_PRICE_IDS[fromMetadata] !== undefined) return fromMetadata;
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  return planFromPriceId(priceId);
+}
+
+// LMX user id from metadata / client_reference_id, else via the Stripe customer.
+async function resolveStripeUserId(obj) {
+  const direct = obj?.metadata?.lmx_user_id || obj?.client_reference_id;
+  if (direct) return direct;
+  return findUserIdByStripeCustomer(obj?.customer);
+}
+
+// Credit packs: the checkout session carries metadata.lmx_pack (see /billing/checkout).
+async function handleCheckoutCompleted(session) {
+  const userId = await resolveStripeUserId(session);
+  if (!userId) {
+    return { handled: false, reason: "no_lmx_user" };
+  }
+
+  if (session.customer) {
+    await updateUserAccount(userId, { stripeCustomerId: session.customer });
+  }
+
+  // Prefer the server catalog; lmx_credits covers packs sold before a catalog change.
+  const pack = CREDIT_PACKS[session.metadata?.lmx_pack];
+  const credits = Number(pack?.credits || session.metadata?.lmx_credits || 0);
+  if (session.mode !== "payment" || session.payment_status !== "paid" || !(credits > 0)) {
+    return { handled: true, userId, credits: 0 };
+  }
+
+  const balance = await grantCredits(userId, credits, {
+    reason: "credit_pack",
+    reference: session.id,
+  });
+
+  return { handled: true, userId, credits, balance };
+}
+
+// created / updated / deleted all land here; the subscription status decides the plan.
+async function handleSubscriptionChange(subscription, eventType) {
+  const userId = await resolveStripeUserId(subscription);
+  if (!userId) {
+    return { handled: false, reason: "no_lmx_user" };
+  }
+
+  const status = subscription.status;
+  const ended =
+    eventType === "customer.subscription.deleted" ||
+    ["canceled", "unpaid", "incomplete_expired"].includes(status);
+
+  const changes = {
+    stripeCustomerId: subscription.customer,
+    subscriptionId: subscription.id,
+    subscriptionStatus: ended ? "canceled" : status,
+  };
+
+  if (ended) {
+    changes.plan = "free";
+    changes.graceUntil = null;
+  } else {
+    const plan = planFromSubscription(subscription);
+    if (plan) {
+      changes.plan = plan;
+    } else {
+      console.warn("⚠️ Stripe subscription has no known LMX plan", {
+        subscriptionId: subscription.id,
+      });
+    }
+    if (status === "active" || status === "trialing") {
+      changes.graceUntil = null;
+    }
+  }
+
+  const account = await updateUserAccount(userId, changes);
+  return { handled: true, userId, plan: account.plan, status: changes.subscriptionStatus };
+}
+
+// Renewal: top up the plan's monthly credits and clear any grace period.
+async function handleInvoicePaid(invoice) {
+  if (!invoice.subscription) {
+    return { handled: false, reason: "not_a_subscription_invoice" };
+  }
+
+  const userId =
+    invoice.subscription_details?.metadata?.lmx_user_id ||
+    (await findUserIdByStripeCustomer(invoice.customer));
+  if (!userId) {
+    return { handled: false, reason: "no_lmx_user" };
+  }
+
+  const account = await getUserAccount(userId);
+  const plan =
+    planFromPriceId(invoice.lines?.data?.[0]?.price?.id) || account?.plan || "free";
+  const credits = PLAN_MONTHLY_CREDITS[plan] || 0;
+
+  await updateUserAccount(userId, {
+    plan,
+    stripeCustomerId: invoice.customer,
+    subscriptionStatus: "active",
+    graceUntil: null,
+  });
+
+  const balance =
+    credits > 0
+      ? await grantCredits(userId, credits, {
+          reason: "subscription_renewal",
+          reference: invoice.id,
+        })
+      : null;
+
+  return { handled: true, userId, plan, credits, balance };
+}
+
+// Failed renewal: keep the plan for BILLING_GRACE_DAYS, then Stripe's own
+// subscription update (unpaid / canceled) moves the user back to free.
+async function handleInvoicePaymentFailed(invoice) {
+  const userId =
+    invoice.subscription_details?.metadata?.lmx_user_id ||
+    (await findUserIdByStripeCustomer(invoice.customer));
+  if (!userId) {
+    return { handled: false, reason: "no_lmx_user" };
+  }
+
+  const graceUntil = new Date(
+    Date.now() + BILLING_GRACE_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+  await updateUserAccount(userId, {
+    subscriptionStatus: "past_due",
+    graceUntil,
+  });
+
+  return { handled: true, userId, graceUntil };
+}
+
+const STRIPE_EVENT_HANDLERS = {
+  "checkout.session.completed": (event) => handleCheckoutCompleted(event.data.object),
+  "customer.subscription.created": (event) =>
+    handleSubscriptionChange(event.data.object, event.type),
+  "customer.subscription.updated": (event) =>
+    handleSubscriptionChange(event.data.object, event.type),
+  "customer.subscription.deleted": (event) =>
+    handleSubscriptionChange(event.data.object, event.type),
+  "invoice.paid": (event) => handleInvoicePaid(event.data.object),
+  "invoice.payment_failed": (event) => handleInvoicePaymentFailed(event.data.object),
+};
+
+function isStaleStripeClaim(record, nowMs) {
+  const startedAt = Date.parse(record.processingStartedAt || record.receivedAt || "");
+  return !Number.isFinite(startedAt) || nowMs - startedAt > STRIPE_PROCESSING_TIMEOUT_MS;
+}
+
+// Stores and processes one verified event exactly once.
+// `replay: true` re-runs a stored event (credit grants stay idempotent by reference).
+async function processStripeEvent(event, { replay = false } = {}) {
+  const nowMs = Date.now();
+  const now = new Date(nowMs).toISOString();
+
+  let claimed = false;
+  const record = await stripeEvents.update(event.id, (current) => {
+    if (
+      current &&
+      !replay &&
+      (current.status === "processed" ||
+        (current.status === "processing" && !isStaleStripeClaim(current, nowMs)))
+    ) {
+      return current;
+    }
+    claimed = true;
+    return {
+      id: event.id,
+      type: event.type,
+      payload: event,
+      status: "processing",
+      attempts: (current?.attempts || 0) + 1,
+      receivedAt: current?.receivedAt || now,
+      processingStartedAt: now,
+      error: null,
+    };
+  });
+
+  if (!claimed) {
+    return { duplicate: true, status: record.status, result: record.result || null };
+  }
+
+  const handler = STRIPE_EVENT_HANDLERS[event.type];
+
+  try {
+    const result = handler
+      ? await handler(event)
+      : { handled: false, reason: "unhandled_event_type" };
+
+    await stripeEvents.update(event.id, (current) => ({
+      ...current,
+      status: "processed",
+      processedAt: new Date().toISOString(),
+      result,
+    }));
+
+    return { duplicate: false, status: "processed", result };
+  } catch (err) {
+    await stripeEvents.update(event.id, (current) => ({
+      ...current,
+      status: "failed",
+      error: err?.message || String(err),
+    }));
+    throw err;
+  }
+}
+
+/* ============  ADMIN GUARD  ============ */
+
+// Admin-only routes require x-lmx-admin-token to match LMX_ADMIN_TOKEN.
+// With no LMX_ADMIN_TOKEN set, admin routes are disabled.
+// Constant-time string check. Byte lengths are compared first: a multibyte
+// value with the right character count would make timingSafeEqual throw.
+function safeEqualStrings(provided, expected) {
+  const a = Buffer.from(String(provided));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  const expected = process.env.LMX_ADMIN_TOKEN || "";
+  const provided = (req.headers["x-lmx-admin-token"] || "").toString();
+
+  const matches = expected.length > 0 && safeEqualStrings(provided, expected);
+
+  if (!matches) {
+    return res.status(401).json({
+      error: "admin_only",
+      message: "Admin token required.",
+    });
+  }
+
+  return next();
+}
+
+/* ============  RATE LIMITING  ============ */
+
+// Sliding-window quotas checked before any expensive work. Three scopes:
+// - user: per signed-in user and operation, sized by plan
+// - ip:   per getClientIp address and operation (covers guests too)
+// - plan: per account (user, or guest IP) across all operations, sized by plan
+// Operations without their own entry use the "default" one.
+// Override any part with LMX_RATE_LIMITS_JSON, e.g. {"ip": {"generate": 10}}.
+const DEFAULT_RATE_LIMITS = {
+  windowSeconds: 60,
+  user: {
+    generate: { free: 5, creator: 20, pro: 40, studio: 80 },
+    remix: { free: 3, creator: 15, pro: 30, studio: 60 },
+    upscale: { free: 5, creator: 20, pro: 40, studio: 80 },
+    "remove-background": { free: 5, creator: 20, pro: 40, studio: 80 },
+    "magic-prompt": { free: 10, creator: 30, pro: 60, studio: 120 },
+    default: { free: 5, creator: 20, pro: 40, studio: 80 },
+  },
+  ip: {
+    generate: 30,
+    remix: 20,
+    upscale: 30,
+    "remove-background": 30,
+    "magic-prompt": 60,
+    default: 20,
+  },
+  plan: {
+    free: 120,
+    creator: 600,
+    pro: 1200,
+    studio: 2400,
+  },
+};
+
+function loadRateLimits() {
+  if (!process.env.LMX_RATE_LIMITS_JSON) return DEFAULT_RATE_LIMITS;
+  try {
+    const overrides = JSON.parse(process.env.LMX_RATE_LIMITS_JSON);
+    return {
+      windowSeconds: overrides.windowSeconds || DEFAULT_RATE_LIMITS.windowSeconds,
+      user: { ...DEFAULT_RATE_LIMITS.user, ...overrides.user },
+      ip: { ...DEFAULT_RATE_LIMITS.ip, ...overrides.ip },
+      plan: { ...DEFAULT_RATE_LIMITS.plan, ...overrides.plan },
+    };
+  } catch (err) {
+    console.error("❌ LMX_RATE_LIMITS_JSON is not valid JSON; using defaults:", err.message);
+    return DEFAULT_RATE_LIMITS;
+  }
+}
+
+const RATE_LIMITS = loadRateLimits();
+
+// Counter store for the limiter. A shared store (Redis, Memcached, ...) for
+// multi-instance deployments only has to implement the same two methods:
+//   async increment(key, amount, ttlMs) → new count
+//   async get(key) → current count (0 when missing)
+function createMemoryRateLimitStore() {
+  const counters = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+      if (entry.expiresAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000).unref();
+
+  return {
+    async increment(key, amount, ttlMs) {
+      const now = Date.now();
+      const entry = counters.get(key);
+      if (!entry || entry.expiresAt <= now) {
+        counters.set(key, { count: amount, expiresAt: now + ttlMs });
+        return amount;
+      }
+      entry.count += amount;
+      return entry.count;
+    },
+    async get(key) {
+      const entry = counters.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return 0;
+      return entry.count;
+    },
+  };
+}
+
+let rateLimitStore = createMemoryRateLimitStore();
+
+// Swap in a shared store at startup (see createMemoryRateLimitStore for the interface).
+function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
+
+// Sliding window counter: adds `cost` to this window and returns this window's
+// new count plus the previous window's, weighted by how much of it still
+// overlaps the last `windowSeconds`. Deciding on the value the increment
+// returned keeps two concurrent requests from both seeing room for one.
+async function addToSlidingWindow(key, cost, windowMs, now) {
+  const current = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+  const [currentCount, previousCount] = await Promise.all([
+    rateLimitStore.increment(`${key}:${current}`, cost, windowMs * 2),
+    rateLimitStore.get(`${key}:${current - 1}`),
+  ]);
+  return {
+    used: currentCount + previousCount * (1 - elapsed),
+    windowKey: `${key}:${current}`,
+    resetAt: (current + 1) * windowMs,
+  };
+}
+
+// Operations without their own limits share the "default" entry (and its counters).
+function rateLimitOperation(operation) {
+  return RATE_LIMITS.ip[operation] ? operation : "default";
+}
+
+// Returns { ok, scope, limit, remaining, resetAt, retryAfterSeconds }
+async function checkRateLimits(operation, userCtx, clientIp, cost) {
+  const windowMs = RATE_LIMITS.windowSeconds * 1000;
+  const now = Date.now();
+  const op = rateLimitOperation(operation);
+  const accountId = getLedgerAccountId(userCtx, clientIp);
+  const rules = [];
+
+  const userLimits = RATE_LIMITS.user[op] || RATE_LIMITS.user.default;
+  const userLimit = userLimits?.[userCtx.plan] ?? userLimits?.free;
+  if (userCtx.userId && userLimit) {
+    rules.push({ scope: "user", key: `rl:user:${userCtx.userId}:${op}`, limit: userLimit });
+  }
+  if (clientIp && RATE_LIMITS.ip[op]) {
+    rules.push({ scope: "ip", key: `rl:ip:${clientIp}:${op}`, limit: RATE_LIMITS.ip[op] });
+  }
+  if (RATE_LIMITS.plan[userCtx.plan]) {
+    rules.push({
+      scope: "plan",
+      key: `rl:plan:${userCtx.plan}:${accountId}`,
+      limit: RATE_LIMITS.plan[userCtx.plan],
+    });
+  }
+
+  const windows = await Promise.all(
+    rules.map((rule) => addToSlidingWindow(rule.key, cost, windowMs, now))
+  );
+
+  let tightest = null;
+  for (let i = 0; i < rules.length; i++) {
+    const remaining = Math.max(Math.floor(rules[i].limit - windows[i].used), 0);
+    const state = { ...rules[i], ...windows[i], remaining };
+
+    if (windows[i].used > rules[i].limit) {
+      // Refused requests don't use up quota: take the cost back off every counter.
+      await Promise.all(
+        windows.map((w) => rateLimitStore.increment(w.windowKey, -cost, windowMs * 2))
+      );
+      // Hint at the next window rollover; a client retrying then may still be
+      // throttled briefly while the old window decays.
+      const retryAfterSeconds = Math.max(Math.ceil((windows[i].resetAt - now) / 1000), 1);
+      return { ok: false, ...state, remaining: 0, retryAfterSeconds };
+    }
+    if (!tightest || remaining < tightest.remaining) tightest = state;
+  }
+
+  return { ok: true, ...(tightest || {}) };
+}
+
+// Frames a request will render, so a 4-frame batch counts as 4.
+function estimateFrameCount(body) {
+  const variations = Math.max(parseInt(body?.variations, 10) || 1, 1);
+  const styles = Array.isArray(body?.styleSweep) ? Math.max(body.styleSweep.length, 1) : 1;
+  return variations * styles;
+}
+
+// Middleware factory. `operation` is a name or a function of req (job routes).
+function rateLimit(operation) {
+  return async (req, res, next) => {
+    const op = typeof operation === "function" ? operation(req) : operation;
+
+    const userCtx = getUserContext(req);
+    const clientIp = getClientIp(req);
+    const cost = op === "generate" ? estimateFrameCount(req.body) : 1;
+
+    let result;
+    try {
+      result = await checkRateLimits(op, userCtx, clientIp, cost);
+    } catch (err) {
+      // A broken shared store should not take the whole API down.
+      console.error("❌ rate limit store error:", err?.message || err);
+      return next();
+    }
+
+    if (result.limit) {
+      res.set({
+        "X-RateLimit-Limit": String(result.limit),
+        "X-RateLimit-Remaining": String(result.remaining),
+        "X-RateLimit-Reset": String(Math.ceil(result.resetAt / 1000)),
+        "X-RateLimit-Scope": result.scope,
+      });
+    }
+
+    if (!result.ok) {
+      console.warn("🚦 Rate limited", {
+        userId: userCtx.userId || "guest",
+        plan: userCtx.plan,
+        ip: clientIp || null,
+        operation: op,
+        scope: result.scope,
+      });
+
+      res.set("Retry-After", String(result.retryAfterSeconds));
+      return res.status(429).json({
+        error: "rate_limited",
+        message: "Too many requests. Please slow down.",
+        code: `rate_limit_${result.scope}`,
+        retryAfter: result.retryAfterSeconds,
+      });
+    }
+
+    return next();
+  };
+}
+
+/* ============  IDEMPOTENCY  ============ */
+
+// Clients send `Idempotency-Key: <uuid>` on the operation routes and on
+// POST /lmx1/jobs. The first request with a key runs (its requestId, and so its
+// credit reservation, is tied to the key); a retry with the same key and body
+// gets the stored response back with `Idempotent-Replayed: true` instead of a
+// second charge and a second image. Only successful responses are kept, so a
+// retry after a failure runs again (the failure already released its credits).
+// LMX_IDEMPOTENCY_TTL_HOURS = how long a key is remembered (default 24)
+const IDEMPOTENCY_TTL_MS = (Number(process.env.LMX_IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const idempotencyKeys = createStore("idempotency_keys");
+
+// Same operation, body and uploaded bytes → same fingerprint.
+function requestFingerprint(req, operation) {
+  const hash = crypto.createHash("sha256");
+  hash.update(operation);
+  hash.update(JSON.stringify(req.body || {}));
+  for (const field of Object.keys(req.files || {}).sort()) {
+    for (const file of req.files[field]) {
+      hash.update(field);
+      hash.update(file.buffer);
+    }
+  }
+  return hash.digest("hex");
+}
+
+// Returns one of:
+//   { requestId, storeKey }          run the operation, then finishIdempotentRequest
+//   { requestId }                    no header: run as usual
+//   { response: { status, body }, replayed }   answer with this and stop
+async function beginIdempotentRequest(req, operation) {
+  const key = (req.headers["idempotency-key"] || "").toString().trim();
+  if (!key) {
+    return { requestId: makeRequestId() };
+  }
+  if (key.length > 255) {
+    return {
+      response: {
+        status: 400,
+        body: { error: "invalid_idempotency_key", message: "Idempotency-Key must be at most 255 characters." },
+      },
+    };
+  }
+
+  const ownerId = getLedgerAccountId(getUserContext(req), getClientIp(req));
+  const storeKey = `${ownerId}:${key}`;
+  const fingerprint = requestFingerprint(req, operation);
+  const now = Date.now();
+
+  // Claim the key atomically; an abandoned in-progress claim (crash) expires
+  // with the credit reservation it was holding.
+  let claimed = null;
+  const record = await idempotencyKeys.update(storeKey, (current) => {
+    const expired =
+      current &&
+      (current.status === "in_progress"
+        ? now - Date.parse(current.createdAt) > RESERVATION_TTL_MS
+        : now - Date.parse(current.createdAt) > IDEMPOTENCY_TTL_MS);
+    if (current && !expired) return current;
+
+    claimed = {
+      key,
+      ownerId,
+      operation,
+      fingerprint,
+      requestId: makeRequestId(),
+      status: "in_progress",
+      response: null,
+      createdAt: new Date(now).toISOString(),
+    };
+    return claimed;
+  });
+
+  if (claimed) {
+    return { requestId: claimed.requestId, storeKey };
+  }
+
+  if (record.fingerprint !== fingerprint) {
+    return {
+      response: {
+        status: 422,
+        body: {
+          error: "idempotency_key_reused",
+          message: "This Idempotency-Key was already used with a different request.",
+          requestId: record.requestId,
+        },
+      },
+    };
+  }
+
+  if (record.status === "in_progress") {
+    return {
+      response: {
+        status: 409,
+        body: {
+          error: "idempotency_in_progress",
+          message: "A request with this Idempotency-Key is still running. Retry shortly.",
+          requestId: record.requestId,
+        },
+      },
+    };
+  }
+
+  return { response: record.response, replayed: true };
+}
+
+async function finishIdempotentRequest(idem, { status, body }) {
+  if (!idem.storeKey) return;
+
+  if (status >= 200 && status < 300) {
+    await idempotencyKeys.update(idem.storeKey, (current) => ({
+      ...current,
+      status: "completed",
+      response: { status, body },
+      completedAt: new Date().toISOString(),
+    }));
+  } else {
+    await idempotencyKeys.delete(idem.storeKey);
+  }
+}
+
+// Route helper: runs `operation(requestId)` at most once per Idempotency-Key.
+// Never rejects: anything thrown (store errors included) becomes a 500 JSON
+// reply and releases the key so the client can retry.
+async function sendIdempotent(req, res, operationName, operation) {
+  let idem = null;
+  let result;
+  try {
+    idem = await beginIdempotentRequest(req, operationName);
+    if (idem.response) {
+      if (idem.replayed) res.set("Idempotent-Replayed", "true");
+      return res.status(idem.response.status).json(idem.response.body);
+    }
+    result = await operation(idem.requestId);
+  } catch (err) {
+    console.error(`❌ ${operationName} failed:`, { requestId: idem?.requestId || null, error: err?.message || err });
+    result = {
+      status: 500,
+      body: {
+        error: "server_error",
+        message: "Something went wrong. Please try again.",
+        requestId: idem?.requestId || null,
+      },
+    };
+  }
+
+  if (idem) {
+    try {
+      await finishIdempotentRequest(idem, result);
+    } catch (err) {
+      // The claim expires on its own (see beginIdempotentRequest).
+      console.error("❌ finishIdempotentRequest error:", err);
+    }
+  }
+  return res.status(result.status).json(result.body);
+}
+
+async function purgeExpiredIdempotencyKeys() {
+  const cutoff = Date.now() - IDEMPOTENCY_TTL_MS;
+  for (const record of await idempotencyKeys.values()) {
+    if (record.status === "completed" && Date.parse(record.createdAt) < cutoff) {
+      await idempotencyKeys.delete(`${record.ownerId}:${record.key}`);
+    }
+  }
+}
+
+setInterval(() => {
+  purgeExpiredIdempotencyKeys().catch((err) => {
+    console.error("❌ purgeExpiredIdempotencyKeys error:", err);
+  });
+}, 60 * 60 * 1000).unref();
+
+/* ============  GENERATION LIBRARY  ============ */
+
+// Every successful frame is stored here, keyed by requestId.
+// Uses the same storage adapter as the ledger (JSON file locally).
+const generationsStore = createStore("generations");
+
+const LIBRARY_OPERATIONS = ["generate", "remix", "upscale", "remove-background"];
+
+// Log generation event for analytics and Library
+async function logGeneration(userCtx, meta) {
+  try {
+    const { imageUrl, ...loggable } = meta;
+    console.log("📊 LMX generation", {
+      userId: userCtx.userId || "guest",
+      plan: userCtx.plan,
+      ...loggable,
+    });
+
+    await generationsStore.set(meta.requestId, {
+      requestId: meta.requestId,
+      userId: userCtx.userId || null,
+      teamId: userCtx.teamId || null,
+      plan: userCtx.plan,
+      operation: meta.operation || "generate",
+      prompt: meta.prompt || "",
+      basePrompt: meta.basePrompt || null,
+      magicPrompt: meta.magicPrompt || "",
+      caption: meta.caption || "",
+      hashtags: meta.hashtags || "",
+      style: meta.style || "Auto",
+      styleKey: meta.styleKey || null,
+      stylePreset: meta.stylePreset || null,
+      ratio: meta.ratio,
+      size: meta.size,
+      model: meta.model,
+      imageUrl: meta.imageUrl,
+      mediaId: meta.mediaId || null,
+      maskMediaId: meta.maskMediaId || null,
+      bgMode: meta.bgMode || null,
+      scale: meta.scale || null,
+      sourceRequestId: meta.sourceRequestId || null,
+      ip: meta.ip || null,
+      createdAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error("❌ logGeneration error:", err);
+  }
+}
+
+// Filters: style, ratio, operation, from / to (ISO dates), q (words in prompt or caption).
+// Only ever returns items owned by `userId`.
+async function searchLibrary(userId, { style, ratio, operation, from, to, q } = {}) {
+  const styleFilter = (style || "").toLowerCase();
+  const fromTime = from ? Date.parse(from) : NaN;
+  const toTime = to ? Date.parse(to) : NaN;
+  const terms = (q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const items = await generationsStore.values();
+
+  return items
+    .filter((item) => {
+      if (!userId || item.userId !== userId) return false;
+      if (
+        styleFilter &&
+        (item.styleKey || "").toLowerCase() !== styleFilter &&
+        (item.style || "").toLowerCase() !== styleFilter
+      ) {
+        return false;
+      }
+      if (ratio && item.ratio !== ratio) return false;
+      if (operation && item.operation !== operation) return false;
+
+      const created = Date.parse(item.createdAt);
+      if (!Number.isNaN(fromTime) && created < fromTime) return false;
+      if (!Number.isNaN(toTime) && created > toTime) return false;
+
+      if (terms.length > 0) {
+        const haystack = [item.prompt, item.basePrompt, item.caption]
+          .filter(Boolean)
+          .join(" ")
+          .toLowerCase();
+        if (!terms.every((t) => haystack.includes(t))) return false;
+      }
+
+      return true;
+    })
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+}
+
+// Library rows keep the media id; URLs are minted per request so signed ones stay fresh.
+function presentLibraryItem(item, req) {
+  return {
+    ...item,
+    imageUrl: item.mediaId ? mediaUrlFor(item.mediaId, req) : item.imageUrl,
+    maskUrl: item.maskMediaId ? mediaUrlFor(item.maskMediaId, req) : null,
+  };
+}
+
+// Owner-only lookup; other users' items look exactly like missing ones.
+async function getLibraryItem(userId, requestId) {
+  const item = await generationsStore.get(requestId);
+  if (!item || !userId || item.userId !== userId) return null;
+  return item;
+}
+
+// Utility for simple request ids
+function makeRequestId() {
+  return (
+    "lmx_" +
+    Date.now().toString(36) +
+    "_" +
+    Math.random().toString(36).slice(2, 8)
+  );
+}
+
+/* ============  CAPTION + HASHTAGS HELPER  ============ */
+
+// Builds a social-friendly caption + hashtags for each frame.
+// Never throws; if anything fails, it just returns empty strings.
+async function buildCaptionAndTags({ prompt, magicPrompt }) {
+  try {
+    const basePrompt = magicPrompt || prompt || "";
+    if (!basePrompt) {
+      return { caption: "", hashtags: "" };
+    }
+
+    const completion = await client.chat.completions.create({
+      model: TEXT_MODEL,
+      messages: [
+        {
+          role: "system",
+          content:
+            "You are LMX Synthetic's caption engine. " +
+            "Given a short description of an AI image, you return a JSON object with a punchy caption and 8–12 relevant hashtags. " +
+            "Keep the caption under 120 characters, no emojis. Hashtags should be lower_case or camelCase, no spaces, each starting with '#'.",
+        },
+        {
+          role: "user",
+          content:
+            `Image description: ${basePrompt}\n\n` +
+            "Respond ONLY as valid JSON with this shape:\n" +
+            `{"caption": "...", "hashtags": ["#tag1", "#tag2"]}`,
+        },
+      ],
+      temperature: 0.7,
+      max_tokens: 180,
+    });
+
+    const raw = completion.choices?.[0]?.message?.content?.trim() || "";
+
+    let caption = "";
+    let hashtags = "";
+
+    try {
+      const parsed = JSON.parse(raw);
+      if (parsed && typeof parsed === "object") {
+        caption =
+          typeof parsed.caption === "string" ? parsed.caption.trim() : "";
+        if (Array.isArray(parsed.hashtags)) {
+          hashtags = parsed.hashtags
+            .filter((h) => typeof h === "string" && h.trim().length > 0)
+            .join(" ");
+        }
+      }
+    } catch (e) {
+      // If parsing fails, just fall back to raw text as caption
+      caption = raw;
+      hashtags = "";
+    }
+
+    return {
+      caption: caption || "",
+      hashtags: hashtags || "",
+    };
+  } catch (err) {
+    console.error("❌ buildCaptionAndTags error:", err);
+    return { caption: "", hashtags: "" };
+  }
+}
+
+/* ============  MAGIC PROMPT (LLM EXPANSION)  ============ */
+
+// Optional step that rewrites a short prompt into a detailed one (subject,
+// composition, lighting, lens, palette) with TEXT_MODEL before rendering.
+// LMX_MAGIC_PROMPT             = "off" | "optional" (default, opt in with `enhance: true`)
+//                                | "default" (on unless the request sends `enhance: false`)
+// LMX_MAGIC_PROMPT_MAX_WORDS   = longer prompts are already detailed and used as written (default 60)
+// LMX_MAGIC_PROMPT_CACHE_HOURS = how long an expansion is reused for the same input (default 168)
+// LMX_MAGIC_PROMPT_CACHE_MAX   = expansions kept at most; the oldest go first (default 5000)
+// LMX_MAGIC_PROMPT_TIMEOUT_SECONDS = give up on the text model after this long (default 20)
+// Expansions are new text, so they go through checkPromptSafety like the
+// user's prompt; a failed or blocked expansion falls back to the template.
+const MAGIC_PROMPT_MODE = (process.env.LMX_MAGIC_PROMPT || "optional").toLowerCase();
+const MAGIC_PROMPT_MAX_WORDS = Number(process.env.LMX_MAGIC_PROMPT_MAX_WORDS || 60);
+const MAGIC_PROMPT_CACHE_MS = Number(process.env.LMX_MAGIC_PROMPT_CACHE_HOURS || 168) * 60 * 60 * 1000;
+const MAGIC_PROMPT_CACHE_MAX = Math.max(Number(process.env.LMX_MAGIC_PROMPT_CACHE_MAX) || 5000, 1);
+const MAGIC_PROMPT_TIMEOUT_MS = (Number(process.env.LMX_MAGIC_PROMPT_TIMEOUT_SECONDS) || 20) * 1000;
+// Bump when the instructions below change so old expansions are not reused.
+const MAGIC_PROMPT_VERSION = 2;
+
+const magicPromptCache = createStore("magic_prompts");
+// Expansions running right now, by cache key, so batch frames share one call.
+// A shared call runs on its own timeout, never on one caller's cancel signal.
+const magicPromptsInFlight = new Map();
+
+// The plain "magic" prompt: style, brand line and ratio hint around the user
+// text, plus a preset's negative guidance.
+function templateMagicPrompt({ prompt, style, negative, ratio }) {
+  return [
+    style ? `Style: ${style}.` : "",
+    "LMX Synthetic Designer frame.",
+    `Ratio hint: ${ratio}.`,
+    prompt,
+    negative ? `Avoid: ${negative}.` : "",
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+// `enhance` comes from JSON or multipart bodies, so "true" / "false" count too.
+function wantsMagicPrompt(body) {
+  const enhance = body?.enhance;
+  if (MAGIC_PROMPT_MODE === "off") return false;
+  if (MAGIC_PROMPT_MODE === "default") return enhance !== false && enhance !== "false";
+  return enhance === true || enhance === "true";
+}
+
+// Same idea, style and ratio → same cache entry (case and spacing ignored).
+function magicPromptCacheKey({ prompt, style, negative, ratio }) {
+  const normalized = prompt.toLowerCase().replace(/\s+/g, " ").trim();
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([MAGIC_PROMPT_VERSION, TEXT_MODEL, normalized, style || "", negative || "", ratio]))
+    .digest("hex");
+}
+
+async function expandPromptWithTextModel({ prompt, style, negative, ratio, signal }) {
+  const completion = await client.chat.completions.create(
+    {
+      model: TEXT_MODEL,
+      messages: [
+        {
+          role: "system",
+          content:
+            "You are LMX Synthetic's prompt designer. " +
+            "Rewrite the user's image idea as one detailed image prompt that covers subject, composition, lighting, lens / camera and color palette. " +
+            "Keep every subject, action, text and constraint the user asked for, and do not add people, brands, text or themes they did not ask for. " +
+            "Leave out anything listed under Avoid. " +
+            "Answer with the prompt only: plain text, under 120 words, no lists, no quotes.",
+        },
+        {
+          role: "user",
+          content: [
+            `Idea: ${prompt}`,
+            style ? `Style: ${style}` : "",
+            negative ? `Avoid: ${negative}` : "",
+            `Aspect ratio: ${ratio}`,
+          ]
+            .filter(Boolean)
+            .join("\n"),
+        },
+      ],
+      temperature: 0.6,
+      max_tokens: 300,
+    },
+    { signal }
+  );
+
+  return (completion.choices?.[0]?.message?.content || "").trim().replace(/^"+|"+$/g, "").trim();
+}
+
+// Returns { magicPrompt, enhanced, cached, fallbackReason }.
+// Never throws: when expansion is off, fails or is blocked, the template is used.
+// `cachedOnly` serves cache hits but never calls the text model (a miss falls
+// back with "sign_in_required"); the free preview route uses it for guests.
+async function buildMagicPrompt({ prompt, style, negative, ratio, enhance, cachedOnly = false }) {
+  const fallback = (fallbackReason) => ({
+    magicPrompt: templateMagicPrompt({ prompt, style, negative, ratio }),
+    enhanced: false,
+    cached: false,
+    fallbackReason,
+  });
+
+  if (!enhance) return fallback(null);
+  if (prompt.split(/\s+/).filter(Boolean).length > MAGIC_PROMPT_MAX_WORDS) {
+    return fallback("prompt_already_detailed");
+  }
+
+  const key = magicPromptCacheKey({ prompt, style, negative, ratio });
+  const hit = await magicPromptCache.get(key);
+  if (hit && Date.parse(hit.expiresAt) > Date.now()) {
+    // Keyword rules may have changed since the expansion was cached.
+    const recheck = runContentFilter(hit.magicPrompt);
+    if (recheck.ok) {
+      return { magicPrompt: hit.magicPrompt, enhanced: true, cached: true, fallbackReason: null };
+    }
+    await magicPromptCache.delete(key);
+  }
+  if (cachedOnly) return fallback("sign_in_required");
+
+  let pending = magicPromptsInFlight.get(key);
+  if (!pending) {
+    pending = expandAndCacheMagicPrompt(key, { prompt, style, negative, ratio }).finally(() =>
+      magicPromptsInFlight.delete(key)
+    );
+    magicPromptsInFlight.set(key, pending);
+  }
+
+  const result = await pending;
+  if (!result.ok) return fallback(result.code);
+  return { magicPrompt: result.magicPrompt, enhanced: true, cached: false, fallbackReason: null };
+}
+
+// Returns { ok: true, magicPrompt } or { ok: false, code }; only safe expansions are cached.
+async function expandAndCacheMagicPrompt(key, { prompt, style, negative, ratio }) {
+  let expanded = "";
+  try {
+    expanded = await expandPromptWithTextModel({
+      prompt,
+      style,
+      negative,
+      ratio,
+      signal: AbortSignal.timeout(MAGIC_PROMPT_TIMEOUT_MS),
+    });
+  } catch (err) {
+    console.error("❌ magic prompt expansion error:", err?.message || err);
+    return { ok: false, code: "expansion_failed" };
+  }
+  if (!expanded) return { ok: false, code: "expansion_failed" };
+
+  const safety = await checkPromptSafety(expanded);
+  if (!safety.ok) {
+    console.warn("⚠️ Magic prompt expansion blocked; using the template instead.", {
+      code: safety.code,
+      ruleVersion: safety.ruleVersion,
+      matched: safety.matched,
+    });
+    return { ok: false, code: "expansion_blocked" };
+  }
+
+  const now = Date.now();
+  await magicPromptCache.set(key, {
+    key,
+    magicPrompt: expanded,
+    textModel: TEXT_MODEL,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + MAGIC_PROMPT_CACHE_MS).toISOString(),
+  });
+  await trimMagicPromptCache();
+
+  return { ok: true, magicPrompt: expanded };
+}
+
+// Guests can reach the cache with any text, so it is capped between the hourly sweeps.
+async function trimMagicPromptCache() {
+  const entries = await magicPromptCache.values();
+  if (entries.length <= MAGIC_PROMPT_CACHE_MAX) return;
+
+  const oldestFirst = entries.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+  for (const entry of oldestFirst.slice(0, entries.length - MAGIC_PROMPT_CACHE_MAX)) {
+    await magicPromptCache.delete(entry.key);
+  }
+}
+
+async function purgeExpiredMagicPrompts() {
+  const now = Date.now();
+  for (const entry of await magicPromptCache.values()) {
+    if (Date.parse(entry.expiresAt) <= now) {
+      await magicPromptCache.delete(entry.key);
+    }
+  }
+}
+
+setInterval(() => {
+  purgeExpiredMagicPrompts().catch((err) => {
+    console.error("❌ purgeExpiredMagicPrompts error:", err);
+  });
+}, 60 * 60 * 1000).unref();
+
+/* ============  CREDITS ROUTE  ============ */
+
+// Balance + recent ledger entries for the caller. ?limit= caps the list (max 100).
+app.get("/lmx1/credits", async (req, res) => {
+  const userCtx = getUserContext(req);
+  const accountId = getLedgerAccountId(userCtx, getClientIp(req));
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  try {
+    const balance = await getCreditBalance(accountId);
+    const transactions = await listCreditTransactions(accountId, limit);
+
+    return res.json({
+      userId: userCtx.userId || null,
+      plan: userCtx.plan,
+      balance,
+      transactions,
+    });
+  } catch (err) {
+    console.error("🔥 /lmx1/credits error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: err?.message || "Could not load credits.",
+    });
+  }
+});
+
+/* ============  PLANS ROUTE  ============ */
+
+// The entitlements table for every plan, the credit pricing and the caller's plan, so the
+// frontend renders limits and upgrade prompts from the same source the
+// server enforces.
+app.get("/lmx1/plans", (req, res) => {
+  const userCtx = getUserContext(req);
+
+  return res.json({
+    currentPlan: userCtx.plan,
+    plans: PLAN_ORDER.map((plan) => ({
+      plan,
+      monthlyCredits: PLAN_MONTHLY_CREDITS[plan] ?? null,
+      purchasable: !!PLAN_PRICE_IDS[plan],
+      ...getPlanEntitlements(plan),
+    })),
+    pricing: PRICING,
+    models: ENABLED_IMAGE_MODELS.map((id) => {
+      const { provider, options, ...model } = IMAGE_MODELS[id];
+      return { id, ...model, default: id === DEFAULT_IMAGE_MODEL };
+    }),
+  });
+});
+
+/* ============  STYLE PRESET ROUTES  ============ */
+
+// Everything the caller can send as `style`, in lookup order (user, team,
+// built-in). An entry whose key a more specific preset reuses is `shadowed`.
+app.get("/lmx1/styles", async (req, res) => {
+  const userCtx = getUserContext(req);
+
+  try {
+    const lookupOrder = { user: 0, team: 1 };
+
+    const presets = (await listStylePresets(userCtx))
+      .sort((a, b) => lookupOrder[a.ownerType] - lookupOrder[b.ownerType] || a.key.localeCompare(b.key))
+      .map((preset) => presentStylePreset(preset));
+    const builtins = Object.entries(STYLE_MAP).map(([key, description]) => ({
+      key,
+      name: key,
+      description,
+      source: "builtin",
+    }));
+
+    const seen = new Set();
+    const styles = [...presets, ...builtins].map((style) => {
+      const shadowed = seen.has(style.key);
+      seen.add(style.key);
+      return { ...style, shadowed };
+    });
+
+    return res.json({ styles });
+  } catch (err) {
+    console.error("🔥 GET /lmx1/styles error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: err?.message || "Could not load style presets.",
+    });
+  }
+});
+
+// Body: { key, description, name?, negative?, ratio?, model?, scope? }
+// scope is "user" (default) or "team"; team API keys always save for the team.
+app.post("/lmx1/styles", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "style presets")) return;
+
+  try {
+    const body = req.body || {};
+    const scope = (body.scope || (userCtx.authMethod === "api_key" ? "team" : "user")).toString();
+    if (!["user", "team"].includes(scope) || (scope === "user" && userCtx.authMethod === "api_key")) {
+      return res.status(400).json({
+        error: "invalid_scope",
+        message: userCtx.authMethod === "api_key" ? "Team API keys can only save team presets." : 'scope must be "user" or "team".',
+      });
+    }
+    if (scope === "team" && !userCtx.teamId) {
+      return res.status(403).json({ error: "no_team", message: "Your account is not part of a team." });
+    }
+
+    const key = (body.key || "").toString().trim().toLowerCase();
+    if (!STYLE_PRESET_KEY.test(key)) {
+      return res.status(400).json({
+        error: "invalid_style_preset",
+        message: "key must be 2-40 lowercase letters, digits, - or _.",
+        code: "invalid_style_preset",
+      });
+    }
+
+    const validation = validateStylePresetFields(body);
+    if (!validation.ok) {
+      return res.status(400).json(validation.body);
+    }
+    const { fields } = validation;
+
+    const ownerId = scope === "team" ? userCtx.teamId : userCtx.userId;
+    const ownerPresets = (await listStylePresets(userCtx)).filter(
+      (p) => p.ownerType === scope && p.ownerId === ownerId
+    );
+    if (ownerPresets.some((p) => p.key === key)) {
+      return res.status(409).json({
+        error: "style_preset_exists",
+        message: `A ${scope} preset named "${key}" already exists.`,
+        key,
+      });
+    }
+    if (ownerPresets.length >= STYLE_PRESET_LIMIT) {
+      return res.status(403).json({
+        error: "style_preset_limit",
+        message: `Up to ${STYLE_PRESET_LIMIT} ${scope} presets can be saved.`,
+        limit: STYLE_PRESET_LIMIT,
+      });
+    }
+
+    // Preset text ends up in every prompt that uses it, so it passes the same checks.
+    const blocked = await checkStylePresetSafety(userCtx, req, fields);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    const now = new Date().toISOString();
+    const preset = {
+      id: `style_${crypto.randomBytes(6).toString("hex")}`,
+      key,
+      ownerType: scope,
+      ownerId,
+      name: fields.name || null,
+      description: fields.description,
+      negative: fields.negative || null,
+      ratio: fields.ratio || null,
+      model: fields.model || null,
+      version: 1,
+      history: [],
+      createdBy: userCtx.userId,
+      createdAt: now,
+      updatedBy: userCtx.userId,
+      updatedAt: now,
+      deletedAt: null,
+    };
+    await stylePresetsStore.set(preset.id, preset);
+    console.log("🎨 Style preset created", { id: preset.id, key, ownerType: scope, ownerId });
+
+    return res.status(201).json(presentStylePreset(preset));
+  } catch (err) {
+    console.error("🔥 POST /lmx1/styles error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: err?.message || "Could not save the style preset.",
+    });
+  }
+});
+
+app.get("/lmx1/styles/:id", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "style presets")) return;
+
+  try {
+    const preset = await getStylePreset(userCtx, req.params.id);
+    if (!preset) {
+      return res.status(404).json({ error: "not_found", id: req.params.id });
+    }
+
+    return res.json(presentStylePreset(preset, { withHistory: true }));
+  } catch (err) {
+    console.error("🔥 GET /lmx1/styles/:id error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: err?.message || "Could not load the style preset.",
+    });
+  }
+});
+
+// Partial update; any change saves the previous fields to `history` and bumps `version`.
+app.patch("/lmx1/styles/:id", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "style presets")) return;
+
+  try {
+    const preset = await getStylePreset(userCtx, req.params.id);
+    if (!preset) {
+      return res.status(404).json({ error: "not_found", id: req.params.id });
+    }
+
+    const validation = validateStylePresetFields(req.body || {}, { partial: true });
+    if (!validation.ok) {
+      return res.status(400).json(validation.body);
+    }
+    const changes = Object.entries(validation.fields).filter(([field, value]) => (preset[field] ?? null) !== value);
+    if (changes.length === 0) {
+      return res.json(presentStylePreset(preset));
+    }
+
+    const blocked = await checkStylePresetSafety(userCtx, req, { ...preset, ...validation.fields });
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    const updated = await stylePresetsStore.update(preset.id, (current) => ({
+      ...current,
+      ...Object.fromEntries(changes),
+      version: current.version + 1,
+      history: [
+        ...current.history,
+        {
+          version: current.version,
+          name: current.name,
+          description: current.description,
+          negative: current.negative,
+          ratio: current.ratio,
+          model: current.model,
+          updatedBy: current.updatedBy,
+          updatedAt: current.updatedAt,
+        },
+      ],
+      updatedBy: userCtx.userId,
+      updatedAt: new Date().toISOString(),
+    }));
+    console.log("🎨 Style preset updated", { id: updated.id, key: updated.key, version: updated.version });
+
+    return res.json(presentStylePreset(updated));
+  } catch (err) {
+    console.error("🔥 PATCH /lmx1/styles/:id error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: err?.message || "Could not update the style preset.",
+    });
+  }
+});
+
+// Soft delete: frames keep pointing at the preset id and version they used.
+app.delete("/lmx1/styles/:id", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "style presets")) return;
+
+  try {
+    const preset = await getStylePreset(userCtx, req.params.id);
+    if (!preset) {
+      return res.status(404).json({ error: "not_found", id: req.params.id });
+    }
+
+    await stylePresetsStore.update(preset.id, (current) => ({
+      ...current,
+      deletedAt: new Date().toISOString(),
+      deletedBy: userCtx.userId,
+    }));
+    console.log("🗑  Style preset deleted", { id: preset.id, key: preset.key });
+
+    return res.json({ deleted: true, id: preset.id });
+  } catch (err) {
+    console.error("🔥 DELETE /lmx1/styles/:id error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: err?.message || "Could not delete the style preset.",
+    });
+  }
+});
+
+/* ============  STRIPE EVENT ADMIN ROUTES  ============ */
+
+// List stored webhook events, newest first. ?status=failed to find stuck ones.
+app.get("/stripe/events", requireAdmin, async (req, res) => {
+  const status = (req.query.status || "").toString().trim();
+  const events = (await stripeEvents.values())
+    .filter((e) => !status || e.status === status)
+    .sort((a, b) => (a.receivedAt < b.receivedAt ? 1 : -1))
+    .slice(0, 100)
+    .map(({ payload, ...rest }) => rest);
+
+  return res.json({ events });
+});
+
+// Re-run a stored event through the same handlers as the webhook.
+app.post("/stripe/events/:id/replay", requireAdmin, async (req, res) => {
+  const stored = await stripeEvents.get(req.params.id);
+  if (!stored) {
+    return res.status(404).json({ error: "event_not_found" });
+  }
+
+  try {
+    const outcome = await processStripeEvent(stored.payload, { replay: true });
+    return res.json({ replayed: true, eventId: stored.id, ...outcome });
+  } catch (err) {
+    console.error("❌ Stripe event replay failed:", {
+      eventId: stored.id,
+      error: err?.message || err,
+    });
+    return res.status(500).json({
+      error: "event_processing_failed",
+      message: err?.message || "Replay failed.",
+      eventId: stored.id,
+    });
+  }
+});
+
+/* ============  TEAM API KEY ADMIN ROUTES  ============ */
+
+// Body: { teamId, label? }. The plain key is only returned once; we store its hash.
+app.post("/admin/api-keys", requireAdmin, async (req, res) => {
+  const teamId = (req.body?.teamId || "").toString().trim();
+  if (!teamId) {
+    return res.status(400).json({ error: "Missing teamId." });
+  }
+
+  const apiKey = `lmx_sk_${crypto.randomBytes(24).toString("base64url")}`;
+  const hash = hashApiKey(apiKey);
+  const record = {
+    id: hash.slice(0, 16),
+    hash,
+    teamId,
+    label: (req.body?.label || "").toString().trim() || null,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  await teamApiKeys.set(hash, record);
+
+  const { hash: _hash, ...publicRecord } = record;
+  return res.status(201).json({ ...publicRecord, apiKey });
+});
+
+app.get("/admin/api-keys", requireAdmin, async (req, res) => {
+  const teamId = (req.query.teamId || "").toString().trim();
+  const keys = (await teamApiKeys.values())
+    .filter((k) => !teamId || k.teamId === teamId)
+    .map(({ hash, ...publicRecord }) => publicRecord);
+  return res.json({ keys });
+});
+
+// Revokes a key by its public id (first 16 chars of the hash).
+app.delete("/admin/api-keys/:id", requireAdmin, async (req, res) => {
+  const hash = (await teamApiKeys.values())
+    .map((k) => k.hash)
+    .find((h) => h && h.slice(0, 16) === req.params.id);
+  if (!hash) {
+    return res.status(404).json({ error: "api_key_not_found" });
+  }
+
+  const record = await teamApiKeys.update(hash, (current) => ({
+    ...current,
+    revokedAt: current.revokedAt || new Date().toISOString(),
+  }));
+
+  const { hash: _hash, ...publicRecord } = record;
+  return res.json(publicRecord);
+});
+
+/* ============  CONTENT RULES ADMIN ROUTES  ============ */
+
+// Which rules are live right now.
+app.get("/admin/content-rules", requireAdmin, (req, res) => {
+  const rules = getContentRules();
+  return res.json({
+    version: rules.version,
+    source: contentRulesSource,
+    categories: rules.categories.map((c) => ({
+      code: c.code,
+      severity: c.severity,
+      fuzzy: c.fuzzy,
+      phrases: c.phrases.length,
+      allow: c.allow.length,
+    })),
+    allow: rules.allow.length,
+  });
+});
+
+// Pick up an edited rules file immediately instead of within 30s.
+app.post("/admin/content-rules/reload", requireAdmin, (req, res) => {
+  const rules = loadContentRules({ force: true });
+  return res.json({ version: rules.version, source: contentRulesSource });
+});
+
+/* ============  QUARANTINE ADMIN ROUTES  ============ */
+
+// Withheld output images, newest first.
+app.get("/admin/quarantine", requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  const items = (await quarantineStore.values())
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    .slice(0, limit);
+  return res.json({ items });
+});
+
+// The withheld image itself, for the reviewer.
+app.get("/admin/quarantine/:id/image", requireAdmin, async (req, res) => {
+  const item = await quarantineStore.get(req.params.id);
+  if (!item) {
+    return res.status(404).json({ error: "not_found" });
+  }
+
+  const buffer = await mediaStore.read(item.mediaKey);
+  if (!buffer) {
+    return res.status(404).json({ error: "not_found" });
+  }
+
+  res.set({ "Content-Type": "image/png", "Cache-Control": "no-store" });
+  return res.send(buffer);
+});
+
+/* ============  BAN ADMIN ROUTES  ============ */
+
+// The admin token is shared, so moderators identify themselves per request.
+function getModeratorName(req) {
+  return (req.headers["x-lmx-moderator"] || req.body?.moderator || "admin").toString().trim();
+}
+
+// Body: { type: "user" | "ip" | "cidr" | "api_key", value, reason, expiresAt? | durationSeconds? }
+app.post("/admin/bans", requireAdmin, async (req, res) => {
+  const { type, value, reason, expiresAt, durationSeconds } = req.body || {};
+
+  const duration = Number(durationSeconds);
+  const expiry =
+    expiresAt ||
+    (Number.isFinite(duration) && duration > 0
+      ? new Date(Date.now() + duration * 1000).toISOString()
+      : null);
+
+  const result = await createBan({
+    type: (type || "").toString().trim().toLowerCase(),
+    value,
+    reason: reason ? reason.toString().slice(0, 500) : null,
+    expiresAt: expiry,
+    issuedBy: getModeratorName(req),
+  });
+
+  if (!result.ok) {
+    return res.status(400).json({ error: "invalid_ban", message: result.message, code: result.code });
+  }
+
+  console.log("🔨 Ban issued", {
+    banId: result.ban.id,
+    type: result.ban.type,
+    value: result.ban.value,
+    expiresAt: result.ban.expiresAt,
+    moderator: result.ban.issuedBy,
+  });
+
+  return res.status(201).json(result.ban);
+});
+
+// ?active=1 hides expired and revoked bans.
+app.get("/admin/bans", requireAdmin, async (req, res) => {
+  const activeOnly = req.query.active === "1" || req.query.active === "true";
+  return res.json({
+    bans: await listBans({ activeOnly }),
+    env: {
+      userIds: parseEnvList(process.env.LMX_BANNED_USER_IDS),
+      ips: parseEnvList(process.env.LMX_BANNED_IPS),
+    },
+  });
+});
+
+app.delete("/admin/bans/:banId", requireAdmin, async (req, res) => {
+  const ban = await revokeBan(req.params.banId, {
+    revokedBy: getModeratorName(req),
+    reason: req.body?.reason ? req.body.reason.toString().slice(0, 500) : null,
+  });
+  if (!ban) {
+    return res.status(404).json({ error: "ban_not_found" });
+  }
+
+  console.log("🕊️ Ban lifted", { banId: ban.id, moderator: ban.revokedBy });
+  return res.json(ban);
+});
+
+// Audit trail, newest first. ?banId= narrows it to one ban.
+app.get("/admin/bans/audit", requireAdmin, async (req, res) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  const banId = (req.query.banId || "").toString();
+  const entries = (await banAudit.values())
+    .filter((entry) => !banId || entry.banId === banId)
+    .sort((a, b) => (a.at < b.at ? 1 : -1))
+    .slice(0, limit);
+  return res.json({ entries });
+});
+
+// Strike history for one user, team API key or IP: ?userId=, ?apiKeyId= or ?ip=
+app.get("/admin/strikes", requireAdmin, async (req, res) => {
+  const userId = (req.query.userId || "").toString();
+  const apiKeyId = (req.query.apiKeyId || "").toString();
+  const ip = normalizeIp((req.query.ip || "").toString());
+  if (!userId && !apiKeyId && !ip) {
+    return res.status(400).json({ error: "missing_subject", message: "Pass userId, apiKeyId or ip." });
+  }
+
+  const strikes = (await strikesStore.values())
+    .filter((s) =>
+      userId ? s.userId === userId : apiKeyId ? s.subjectType === "api_key" && s.subject === apiKeyId : s.ip === ip
+    )
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  return res.json({ strikes });
+});
+
+/* ============  MODERATION REVIEW ADMIN ROUTES  ============ */
+
+// Queue, oldest first so reviewers work through it in order.
+// ?status=pending (default) | confirmed | false_positive | all, ?kind=prompt|output, ?code=
+app.get("/admin/moderation/events", requireAdmin, async (req, res) => {
+  const status = (req.query.status || "pending").toString();
+  const kind = (req.query.kind || "").toString();
+  const code = (req.query.code || "").toString();
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+  const events = (await moderationEvents.values())
+    .filter((e) => status === "all" || e.status === status)
+    .filter((e) => !kind || e.kind === kind)
+    .filter((e) => !code || e.code === code)
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+    .slice(0, limit);
+  return res.json({ events });
+});
+
+// Body: { verdict: "confirmed" | "false_positive", note?, allowPhrase? }
+// allowPhrase (false positives on keyword blocks only) is added to the
+// content rules allow-list for the event's rule code.
+app.post("/admin/moderation/events/:eventId/review", requireAdmin, async (req, res) => {
+  const event = await moderationEvents.get(req.params.eventId);
+  if (!event) {
+    return res.status(404).json({ error: "event_not_found" });
+  }
+
+  const verdict = (req.body?.verdict || "").toString().trim().toLowerCase();
+  if (!REVIEW_VERDICTS.includes(verdict)) {
+    return res.status(400).json({
+      error: "invalid_verdict",
+      message: `verdict must be one of ${REVIEW_VERDICTS.join(", ")}.`,
+    });
+  }
+
+  const allowPhrase = (req.body?.allowPhrase || "").toString().trim();
+  let allowAdded = null;
+  if (allowPhrase) {
+    if (verdict !== "false_positive" || event.source !== "keyword") {
+      return res.status(400).json({
+        error: "allow_phrase_not_applicable",
+        message: "allowPhrase only applies to false positives from the keyword rules.",
+      });
+    }
+    const result = addContentRuleAllowPhrase(allowPhrase, event.code);
+    if (!result.ok) {
+      return res.status(500).json({ error: "rules_update_failed", message: result.message, code: result.code });
+    }
+    allowAdded = { phrase: allowPhrase.toLowerCase(), scope: result.scope, ruleVersion: result.version };
+    console.log("🛡  Allow-list phrase added from review", { eventId: event.id, ...allowAdded });
+  }
+
+  // A false positive should not count towards escalation, and neither
+  // should the ban it triggered.
+  let strikesRemoved = 0;
+  const bansLifted = [];
+  if (verdict === "false_positive") {
+    for (const strike of await strikesStore.values()) {
+      if (strike.requestId === event.requestId) {
+        await strikesStore.delete(strike.id);
+        strikesRemoved += 1;
+
+        const ban = strike.banId ? await bansStore.get(strike.banId) : null;
+        if (ban && ban.issuedBy === "system:strikes" && isBanActive(ban)) {
+          await revokeBan(ban.id, {
+            revokedBy: getModeratorName(req),
+            reason: `False positive (moderation event ${event.id})`,
+          });
+          bansLifted.push(ban.id);
+        }
+      }
+    }
+    if (bansLifted.length > 0) {
+      console.log("🔓 Automatic ban lifted after false-positive review", { eventId: event.id, bansLifted });
+    }
+  }
+
+  const updated = await moderationEvents.update(event.id, (current) => ({
+    ...current,
+    status: verdict,
+    reviewedAt: new Date().toISOString(),
+    reviewedBy: getModeratorName(req),
+    note: req.body?.note ? req.body.note.toString().slice(0, 1000) : current.note,
+    allowAdded: allowAdded || current.allowAdded || null,
+  }));
+
+  return res.json({ event: updated, strikesRemoved, bansLifted });
+});
+
+app.get("/admin/moderation/stats", requireAdmin, async (req, res) => {
+  return res.json({ ruleVersion: getContentRules().version, rules: await moderationStats() });
+});
+
+/* ============  BILLING ROUTES  ============ */
+
+// Subscription statuses that still own a live Stripe subscription. A second
+// checkout would start a parallel subscription; plan changes go through the portal.
+const LIVE_SUBSCRIPTION_STATUSES = new Set(["active", "trialing", "past_due", "incomplete"]);
+
+// Stripe's own status codes describe our request to Stripe, not the client's
+// request to us, so they are never passed through.
+function billingErrorResponse(err, message) {
+  const upstream =
+    err?.type === "StripeConnectionError" ||
+    err?.type === "StripeAPIError" ||
+    err?.type === "StripeRateLimitError";
+  return {
+    status: upstream ? 502 : 500,
+    body: { error: "billing_error", message },
+  };
+}
+
+// Body: { plan: "creator" | "pro" | "studio" } or { pack: "pack_100" | ... }
+// Returns { url } for the frontend to redirect to Stripe Checkout.
+app.post("/billing/checkout", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!userCtx.userId) {
+    return res.status(401).json({
+      error: "login_required",
+      message: "Sign in before purchasing a plan or credits.",
+    });
+  }
+
+  const planKey = (req.body?.plan || "").toString().trim().toLowerCase();
+  const packKey = (req.body?.pack || "").toString().trim().toLowerCase();
+
+  let priceId = "";
+  let mode = "";
+  let metadata = { lmx_user_id: userCtx.userId };
+
+  if (planKey) {
+    priceId = PLAN_PRICE_IDS[planKey] || "";
+    mode = "subscription";
+    metadata.lmx_plan = planKey;
+  } else if (packKey) {
+    const pack = CREDIT_PACKS[packKey];
+    priceId = pack?.priceId || "";
+    mode = "payment";
+    metadata = { ...metadata, lmx_pack: packKey, lmx_credits: String(pack?.credits || 0) };
+  }
+
+  if (!priceId) {
+    return res.status(400).json({
+      error: "unknown_product",
+      message: "Choose a valid plan or credit pack.",
+      plans: Object.keys(PLAN_PRICE_IDS).filter((k) => PLAN_PRICE_IDS[k]),
+      packs: Object.keys(CREDIT_PACKS).filter((k) => CREDIT_PACKS[k].priceId),
+    });
+  }
+
+  if (mode === "subscription") {
+    const account = await getUserAccount(userCtx.userId);
+    if (account?.subscriptionId && LIVE_SUBSCRIPTION_STATUSES.has(account.subscriptionStatus)) {
+      return res.status(409).json({
+        error: "subscription_exists",
+        message: "You already have a subscription. Change your plan in the billing portal.",
+        plan: account.plan || null,
+        portal: "/billing/portal",
+      });
+    }
+  }
+
+  try {
+    const customer = await getOrCreateStripeCustomer(userCtx.userId);
+
+    const session = await stripe.checkout.sessions.create({
+      mode,
+      customer,
+      client_reference_id: userCtx.userId,
+      line_items: [{ price: priceId, quantity: 1 }],
+      metadata,
+      ...(mode === "subscription"
+        ? { subscription_data: { metadata } }
+        : {}),
+      success_url: BILLING_SUCCESS_URL,
+      cancel_url: BILLING_CANCEL_URL,
+    });
+
+    console.log("💳 Checkout session created", {
+      userId: userCtx.userId,
+      mode,
+      plan: planKey || null,
+      pack: packKey || null,
+      sessionId: session.id,
+    });
+
+    return res.json({ url: session.url, sessionId: session.id });
+  } catch (err) {
+    console.error("🔥 /billing/checkout error:", err?.message || err);
+    const failure = billingErrorResponse(err, "Could not start checkout.");
+    return res.status(failure.status).json(failure.body);
+  }
+});
+
+// Opens the Stripe customer portal (manage plan, cards, invoices).
+app.post("/billing/portal", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!userCtx.userId) {
+    return res.status(401).json({
+      error: "login_required",
+      message: "Sign in to manage billing.",
+    });
+  }
+
+  try {
+    const customer = await getOrCreateStripeCustomer(userCtx.userId);
+
+    const portal = await stripe.billingPortal.sessions.create({
+      customer,
+      return_url: BILLING_RETURN_URL,
+    });
+
+    return res.json({ url: portal.url });
+  } catch (err) {
+    console.error("🔥 /billing/portal error:", err?.message || err);
+    const failure = billingErrorResponse(err, "Could not open the billing portal.");
+    return res.status(failure.status).json(failure.body);
+  }
+});
+
+/* ============  MEDIA ROUTE  ============ */
+
+// Serves saved frames. Ids never change content, so unsigned URLs are cached
+// "forever"; signed URLs are cached privately until they expire.
+app.get("/media/:id", async (req, res) => {
+  const id = req.params.id;
+  if (!MEDIA_ID_PATTERN.test(id)) {
+    return res.status(404).json({ error: "not_found" });
+  }
+
+  let cacheControl = "public, max-age=31536000, immutable";
+
+  try {
+    if (process.env.LMX_MEDIA_SIGNING_SECRET) {
+      const expires = Number(req.query.expires);
+      const sig = (req.query.sig || "").toString();
+      const now = Math.floor(Date.now() / 1000);
+
+      const valid =
+        Number.isFinite(expires) &&
+        expires > now &&
+        safeEqualStrings(sig, signMediaId(id, expires));
+
+      if (!valid) {
+        return res.status(403).json({
+          error: "invalid_media_signature",
+          message: "This media link is invalid or has expired.",
+        });
+      }
+      cacheControl = `private, max-age=${expires - now}`;
+    }
+
+    const buffer = await mediaStore.read(id);
+    if (!buffer) {
+      return res.status(404).json({ error: "not_found" });
+    }
+
+    const etag = `"${crypto.createHash("sha1").update(buffer).digest("hex")}"`;
+    res.set({
+      "Content-Type": contentTypeForMediaId(id),
+      "Cache-Control": cacheControl,
+      ETag: etag,
+    });
+
+    if (req.headers["if-none-match"] === etag) {
+      return res.status(304).end();
+    }
+    return res.send(buffer);
+  } catch (err) {
+    console.error("🔥 /media error:", { id, error: err?.message || err });
+    return res.status(500).json({ error: "server_error" });
+  }
+});
+
+/* ============  LIBRARY ROUTES  ============ */
+
+// `feature` finishes the 401 message: "Sign in to use <feature>."
+function requireSignedIn(userCtx, res, feature = "this feature") {
+  if (userCtx.userId) return true;
+  res.status(401).json({
+    error: "login_required",
+    message: `Sign in to use ${feature}.`,
+  });
+  return false;
+}
+
+// GET /lmx1/library?q=&style=&ratio=&operation=&from=&to=&limit=&offset=
+app.get("/lmx1/library", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "your Library")) return;
+
+  const operation = (req.query.operation || req.query.type || "").toString().trim();
+  if (operation && !LIBRARY_OPERATIONS.includes(operation)) {
+    return res.status(400).json({
+      error: "invalid_operation",
+      message: `operation must be one of: ${LIBRARY_OPERATIONS.join(", ")}`,
+    });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const matches = await searchLibrary(userCtx.userId, {
+      style: (req.query.style || "").toString().trim(),
+      ratio: (req.query.ratio || "").toString().trim(),
+      operation,
+      from: (req.query.from || "").toString().trim(),
+      to: (req.query.to || "").toString().trim(),
+      q: (req.query.q || "").toString(),
+    });
+
+    const items = matches
+      .slice(offset, offset + limit)
+      .map((item) => presentLibraryItem(item, req));
+
+    return res.json({
+      items,
+      total: matches.length,
+      limit,
+      offset,
+      nextOffset: offset + items.length < matches.length ? offset + items.length : null,
+    });
+  } catch (err) {
+    console.error("🔥 /lmx1/library error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: err?.message || "Could not load your Library.",
+    });
+  }
+});
+
+app.get("/lmx1/library/:requestId", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "your Library")) return;
+
+  const item = await getLibraryItem(userCtx.userId, req.params.requestId);
+  if (!item) {
+    return res.status(404).json({ error: "not_found", requestId: req.params.requestId });
+  }
+
+  return res.json(presentLibraryItem(item, req));
+});
+
+app.delete("/lmx1/library/:requestId", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "your Library")) return;
+
+  const item = await getLibraryItem(userCtx.userId, req.params.requestId);
+  if (!item) {
+    return res.status(404).json({ error: "not_found", requestId: req.params.requestId });
+  }
+
+  await generationsStore.delete(item.requestId);
+  const revokedShares = await revokeSharesForRequest(userCtx.userId, item.requestId);
+  for (const mediaId of [item.mediaId, item.maskMediaId].filter(Boolean)) {
+    await mediaStore.remove(mediaId).catch((err) => {
+      console.error("❌ Could not delete media:", { mediaId, error: err?.message });
+    });
+  }
+  console.log("🗑  Library item deleted", {
+    userId: userCtx.userId,
+    requestId: item.requestId,
+    revokedShares,
+  });
+
+  return res.json({ deleted: true, requestId: item.requestId });
+});
+
+/* ============  UPSCALERS  ============ */
+
+const UPSCALE_FACTORS = [2, 4];
+
+// Every upscaler implements: { name, async upscale(buffer, { scale, width, height, signal }) → PNG buffer }
+// LMX_UPSCALER = "local" (default) | "http"
+// LMX_UPSCALER_URL = endpoint for "http" (e.g. a Real-ESRGAN service). It gets
+//   POST image/png with ?scale=N and must answer with the upscaled image bytes.
+// LMX_UPSCALER_TIMEOUT_SECONDS = give up on the "http" upscaler after this long (default 120)
+const UPSCALER_TIMEOUT_MS = (Number(process.env.LMX_UPSCALER_TIMEOUT_SECONDS) || 120) * 1000;
+
+const UPSCALERS = {
+  local: {
+    name: "local-lanczos",
+    async upscale(buffer, { width, height, scale }) {
+      return sharp(buffer)
+        .rotate()
+        .resize(width, height, { kernel: "lanczos3" })
+        .sharpen({ sigma: scale >= 4 ? 1.2 : 0.8 })
+        .png()
+        .toBuffer();
+    },
+  },
+  http: {
+    name: "http",
+    async upscale(buffer, { width, height, scale, signal }) {
+      const url = new URL(process.env.LMX_UPSCALER_URL);
+      url.searchParams.set("scale", String(scale));
+
+      const timedSignal = signalWithTimeout(signal, UPSCALER_TIMEOUT_MS);
+      let response;
+      try {
+        response = await fetch(url, {
+          method: "POST",
+          headers: { "content-type": "image/png" },
+          body: await sharp(buffer).rotate().png().toBuffer(),
+          signal: timedSignal,
+        });
+      } catch (err) {
+        if (err?.name === "TimeoutError" || timedSignal.reason?.name === "TimeoutError") {
+          const timeoutErr = new Error("Upscaler did not answer in time.");
+          timeoutErr.status = 504;
+          throw timeoutErr;
+        }
+        throw err;
+      }
+      if (!response.ok) {
+        const err = new Error(`Upscaler responded with ${response.status}`);
+        err.status = 502;
+        throw err;
+      }
+
+      // Normalize whatever the service returns to the exact size we promised.
+      const upscaled = Buffer.from(await response.arrayBuffer());
+      return sharp(upscaled).resize(width, height, { fit: "fill" }).png().toBuffer();
+    },
+  },
+};
+
+function getUpscaler() {
+  const key = (process.env.LMX_UPSCALER || "local").toLowerCase();
+  if (key === "http" && process.env.LMX_UPSCALER_URL) {
+    return UPSCALERS.http;
+  }
+  return UPSCALERS.local;
+}
+
+/* ============  MEDIA STORAGE  ============ */
+
+// Output images are saved as files under their requestId and served from
+// GET /media/:id, so responses, logs and Library rows only carry a short URL.
+// LMX_MEDIA_DRIVER = "local" (default, LMX_MEDIA_DIR or ./data/media) | "s3"
+// S3 / S3-compatible (R2, MinIO, ...): LMX_S3_BUCKET, LMX_S3_REGION,
+//   LMX_S3_ENDPOINT (optional), LMX_S3_ACCESS_KEY_ID / LMX_S3_SECRET_ACCESS_KEY
+//   (optional, falls back to the AWS default credential chain)
+// LMX_MEDIA_SIGNING_SECRET = when set, media URLs are signed and expire after
+//   LMX_MEDIA_URL_TTL seconds (default 7 days). Without it anyone holding a URL
+//   can fetch the image, so ids carry a random part and can't be guessed from
+//   a requestId.
+// LMX_PUBLIC_URL = absolute base for media URLs (default: the request's host)
+const MEDIA_DRIVER = (process.env.LMX_MEDIA_DRIVER || "local").toLowerCase();
+const MEDIA_DIR = process.env.LMX_MEDIA_DIR || path.join(DATA_DIR, "media");
+const MEDIA_URL_TTL_SECONDS = Number(process.env.LMX_MEDIA_URL_TTL ?? 7 * 24 * 60 * 60);
+const MEDIA_ID_PATTERN = /^[a-z0-9_]+\.(png|jpg|webp)$/i;
+
+const MEDIA_CONTENT_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  webp: "image/webp",
+};
+
+function contentTypeForMediaId(id) {
+  return MEDIA_CONTENT_TYPES[id.split(".").pop().toLowerCase()] || "application/octet-stream";
+}
+
+// Every media store implements save / read / remove with the same signatures.
+function createLocalMediaStore() {
+  return {
+    async save(id, buffer) {
+      const filePath = path.join(MEDIA_DIR, id);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async read(id) {
+      try {
+        return await fs.promises.readFile(path.join(MEDIA_DIR, id));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async remove(id) {
+      await fs.promises.rm(path.join(MEDIA_DIR, id), { force: true });
+    },
+  };
+}
+
+function createS3MediaStore() {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+
+  const bucket = process.env.LMX_S3_BUCKET;
+  const s3 = new S3Client({
+    region: process.env.LMX_S3_REGION || "auto",
+    endpoint: process.env.LMX_S3_ENDPOINT || undefined,
+    forcePathStyle: !!process.env.LMX_S3_ENDPOINT,
+    credentials: process.env.LMX_S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.LMX_S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.LMX_S3_SECRET_ACCESS_KEY,
+        }
+      : undefined,
+  });
+
+  return {
+    async save(id, buffer) {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: id,
+          Body: buffer,
+          ContentType: contentTypeForMediaId(id),
+        })
+      );
+    },
+    async read(id) {
+      try {
+        const result = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: id }));
+        return Buffer.from(await result.Body.transformToByteArray());
+      } catch (err) {
+        if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) return null;
+        throw err;
+      }
+    },
+    async remove(id) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: id }));
+    },
+  };
+}
+
+const mediaStore = MEDIA_DRIVER === "s3" ? createS3MediaStore() : createLocalMediaStore();
+
+if (!process.env.LMX_MEDIA_SIGNING_SECRET) {
+  console.warn("⚠️  LMX_MEDIA_SIGNING_SECRET is not set. Media URLs are unsigned and never expire.");
+}
+
+function signMediaId(id, expires) {
+  return crypto
+    .createHmac("sha256", process.env.LMX_MEDIA_SIGNING_SECRET)
+    .update(`${id}:${expires}`)
+    .digest("base64url");
+}
+
+function publicBaseUrl(req) {
+  if (process.env.LMX_PUBLIC_URL) {
+    return process.env.LMX_PUBLIC_URL.replace(/\/+$/, "");
+  }
+  return req ? `${req.protocol}://${req.get("host")}` : "";
+}
+
+// URL for a stored image; signed + expiring when LMX_MEDIA_SIGNING_SECRET is set.
+function mediaUrlFor(id, req) {
+  const url = `${publicBaseUrl(req)}/media/${id}`;
+  if (!process.env.LMX_MEDIA_SIGNING_SECRET) {
+    return url;
+  }
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  return `${url}?expires=${expires}&sig=${signMediaId(id, expires)}`;
+}
+
+// Saves one output image and returns { mediaId, url }. `name` (e.g.
+// "<requestId>.png") gets a random suffix so the id can't be guessed.
+async function storeOutputImage(name, buffer, req) {
+  const dot = name.lastIndexOf(".");
+  const id = `${name.slice(0, dot)}_${crypto.randomBytes(12).toString("hex")}${name.slice(dot)}`;
+  await mediaStore.save(id, buffer);
+  return { mediaId: id, url: mediaUrlFor(id, req) };
+}
+
+// The JSON only carries `base64` when the caller asks for it
+// (`returnBase64: true` in the body or ?base64=1).
+function wantsBase64(req) {
+  const flag = req.body?.returnBase64 ?? req.query.base64;
+  return flag === true || flag === "true" || flag === "1" || flag === 1;
+}
+
+/* ============  OUTPUT IMAGE MODERATION (QUARANTINE)  ============ */
+
+// Checks the rendered image before it leaves the server. Flagged frames are
+// withheld, saved under quarantine/ in the media store (not reachable via
+// /media/:id) and listed for admins at GET /admin/quarantine.
+// LMX_IMAGE_MODERATION_PROVIDER = "off" (default) | "openai" | "stub"
+// LMX_FLAGGED_REFUND_POLICY = "always" (default) | "never" | "once_per_day"
+//   once_per_day: only the first flagged output per account per 24h is refunded,
+//   so retrying the same prompt is not free.
+// Scores go through the same MODERATION_POLICY as prompts. When the provider
+// is down (or slower than LMX_MODERATION_TIMEOUT_SECONDS) nothing is
+// quarantined: with LMX_MODERATION_ON_ERROR "open" the frame is delivered,
+// otherwise the request ends with 503 moderation_unavailable and its credits come back.
+const FLAGGED_REFUND_POLICY = (process.env.LMX_FLAGGED_REFUND_POLICY || "always").toLowerCase();
+const quarantineStore = createStore("quarantine");
+
+// Providers get a copy no larger than this on its longest side (upscales can
+// be 8192px; the moderation API does not need that many pixels).
+const IMAGE_MODERATION_MAX_SIDE = 1024;
+
+// Every provider implements: { name, async moderateImage(buffer, { prompt, signal }) → { scores } }
+const IMAGE_MODERATION_PROVIDERS = {
+  openai: {
+    name: "openai",
+    async moderateImage(buffer, { signal } = {}) {
+      const result = await client.moderations.create(
+        {
+          model: process.env.LMX_MODERATION_MODEL || "omni-moderation-latest",
+          input: [
+            {
+              type: "image_url",
+              image_url: { url: `data:image/png;base64,${buffer.toString("base64")}` },
+            },
+          ],
+        },
+        { signal }
+      );
+      return { scores: result.results?.[0]?.category_scores || {} };
+    },
+  },
+  // Offline / tests: the image itself is not inspected. "stubimg:<category>"
+  // in the prompt flags the output, "stubimg:error" makes the provider fail.
+  stub: {
+    name: "stub",
+    async moderateImage(buffer, { prompt = "" } = {}) {
+      if (prompt.includes("stubimg:error")) {
+        throw new Error("Stub image moderation provider failure");
+      }
+      const scores = {};
+      for (const match of prompt.matchAll(/stubimg:([a-z/-]+)/g)) {
+        scores[match[1]] = 1;
+      }
+      return { scores };
+    },
+  },
+};
+
+function getImageModerationProvider() {
+  const key = (process.env.LMX_IMAGE_MODERATION_PROVIDER || "off").toLowerCase();
+  return IMAGE_MODERATION_PROVIDERS[key] || null;
+}
+
+async function shouldRefundFlaggedOutput(accountId) {
+  if (FLAGGED_REFUND_POLICY === "never") return false;
+  if (FLAGGED_REFUND_POLICY !== "once_per_day") return true;
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const recent = (await quarantineStore.values()).filter(
+    (item) => item.accountId === accountId && item.refunded && item.createdAt >= since
+  );
+  return recent.length === 0;
+}
+
+// Returns { ok: true } or { ok: false, status, body } ready to hand back from
+// a run* function. Call it before storeOutputImage.
+async function screenOutputImage(buffer, { req, userCtx, requestId, operation, prompt }) {
+  const provider = getImageModerationProvider();
+  if (!provider) {
+    return { ok: true };
+  }
+
+  let verdict;
+  try {
+    const preview = await sharp(buffer)
+      .resize(IMAGE_MODERATION_MAX_SIDE, IMAGE_MODERATION_MAX_SIDE, { fit: "inside", withoutEnlargement: true })
+      .png()
+      .toBuffer();
+    const { scores } = await provider.moderateImage(preview, {
+      prompt,
+      signal: AbortSignal.timeout(MODERATION_TIMEOUT_MS),
+    });
+    verdict = evaluateModerationScores(scores, provider.name);
+  } catch (err) {
+    verdict = moderationErrorResult(provider.name, err);
+  }
+  if (verdict.ok) {
+    return { ok: true };
+  }
+
+  // Unchecked is not flagged: no quarantine, no review event, no charge.
+  if (verdict.unavailable) {
+    await releaseCredits(requestId, "moderation_unavailable");
+    return { ok: false, ...moderationUnavailableResponse(verdict, requestId) };
+  }
+
+  const accountId = getLedgerAccountId(userCtx, getClientIp(req));
+  const refunded =
+    (await shouldRefundFlaggedOutput(accountId)) &&
+    (await releaseCredits(requestId, "output_flagged"));
+  if (!refunded) {
+    await commitCredits(requestId);
+  }
+
+  const mediaKey = `quarantine/${requestId}.png`;
+  await mediaStore.save(mediaKey, buffer);
+  await quarantineStore.set(requestId, {
+    id: requestId,
+    requestId,
+    operation,
+    userId: userCtx.userId || null,
+    teamId: userCtx.teamId || null,
+    accountId,
+    ip: getClientIp(req) || null,
+    prompt: prompt || null,
+    code: verdict.code,
+    category: verdict.category,
+    score: verdict.score ?? null,
+    provider: verdict.provider,
+    mediaKey,
+    refunded: !!refunded,
+    createdAt: new Date().toISOString(),
+  });
+
+  await recordModerationEvent(userCtx, req, {
+    kind: "output",
+    source: "image_moderation",
+    code: verdict.code,
+    category: verdict.category,
+    score: verdict.score ?? null,
+    prompt: prompt || null,
+    operation,
+    requestId,
+    quarantineId: requestId,
+  });
+
+  console.warn("🚫 Output image quarantined", {
+    requestId,
+    operation,
+    userId: userCtx.userId || "guest",
+    code: verdict.code,
+    category: verdict.category,
+    refunded: !!refunded,
+  });
+
+  return {
+    ok: false,
+    status: 422,
+    body: {
+      error: "unsafe_output",
+      message: "The generated image was withheld by LMX safety rules.",
+      code: `output_${verdict.code}`,
+      refunded: !!refunded,
+      requestId,
+    },
+  };
+}
+
+/* ============  SHARE LINKS  ============ */
+
+// Short public links for Library frames. GET /s/:id renders a small HTML page
+// with Open Graph tags so the link previews on social platforms.
+const SHARE_ID_ALPHABET = "abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const SHARE_ID_LENGTH = 8;
+const MAX_SHARE_TTL_HOURS = 24 * 365;
+
+const sharesStore = createStore("shares");
+
+function makeShareId() {
+  const bytes = crypto.randomBytes(SHARE_ID_LENGTH);
+  let id = "";
+  for (const b of bytes) {
+    id += SHARE_ID_ALPHABET[b % SHARE_ID_ALPHABET.length];
+  }
+  return id;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Active = not revoked and not past expiresAt.
+function isShareActive(share) {
+  if (!share || share.revokedAt) return false;
+  return !share.expiresAt || Date.parse(share.expiresAt) > Date.now();
+}
+
+function shareUrlFor(shareId, req) {
+  return `${publicBaseUrl(req)}/s/${shareId}`;
+}
+
+// Share pages point at the image through the share, so revoking the link
+// (or deleting the frame) also stops the image from loading.
+function shareImageUrlFor(shareId, req) {
+  return `${shareUrlFor(shareId, req)}/image`;
+}
+
+// Revokes every active link to one Library frame; returns how many were revoked.
+async function revokeSharesForRequest(userId, requestId) {
+  const shares = (await sharesStore.values()).filter(
+    (sh) => sh.userId === userId && sh.requestId === requestId && !sh.revokedAt
+  );
+  const revokedAt = new Date().toISOString();
+  for (const share of shares) {
+    await sharesStore.update(share.shareId, (current) => ({
+      ...current,
+      revokedAt: current.revokedAt || revokedAt,
+    }));
+  }
+  return shares.length;
+}
+
+function presentShare(share, req) {
+  return {
+    ...share,
+    url: shareUrlFor(share.shareId, req),
+    active: isShareActive(share),
+  };
+}
+
+function renderSharePage({ title, caption, hashtags, imageUrl, pageUrl }) {
+  const description = [caption, hashtags].filter(Boolean).join(" ");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<meta name="description" content="${escapeHtml(description)}">
+<meta property="og:type" content="website">
+<meta property="og:site_name" content="LMX Synthetic Designer">
+<meta property="og:title" content="${escapeHtml(title)}">
+<meta property="og:description" content="${escapeHtml(description)}">
+<meta property="og:url" content="${escapeHtml(pageUrl)}">
+<meta property="og:image" content="${escapeHtml(imageUrl)}">
+<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:title" content="${escapeHtml(title)}">
+<meta name="twitter:description" content="${escapeHtml(description)}">
+<meta name="twitter:image" content="${escapeHtml(imageUrl)}">
+<style>
+  body { margin: 0; background: #0b0b0f; color: #f2f2f5; font-family: system-ui, sans-serif; }
+  main { max-width: 720px; margin: 0 auto; padding: 32px 16px; text-align: center; }
+  img { max-width: 100%; border-radius: 12px; }
+  p { line-height: 1.5; }
+  .tags { color: #9aa0ff; }
+  a { color: #f2f2f5; }
+</style>
+</head>
+<body>
+<main>
+  <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(caption || title)}">
+  <p>${escapeHtml(caption)}</p>
+  <p class="tags">${escapeHtml(hashtags)}</p>
+  <p><a href="${escapeHtml(APP_URL)}">Made with LMX Synthetic Designer</a></p>
+</main>
+</body>
+</html>`;
+}
+
+function renderShareGonePage() {
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>LMX Synthetic Designer</title></head>
+<body style="font-family: system-ui, sans-serif; text-align: center; padding: 48px;">
+<p>This share link is no longer available.</p>
+</body>
+</html>`;
+}
+
+/* ============  SOURCE IMAGE INPUT  ============ */
+
+// Routes that work on an existing frame accept it as (first match wins):
+// - multipart/form-data upload in the `image` field
+// - `imageBase64` field (raw base64 or a data: URL)
+// - `sourceRequestId` of a frame in the caller's Library
+// MAX_SOURCE_IMAGE_BYTES (20MB) is defined in APP SETUP, next to the JSON body limit.
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_SOURCE_IMAGE_BYTES, files: 2 },
+});
+
+// multer wrapper that answers with our JSON error shape instead of an HTML page.
+// `image` is the source frame; `background` is only used by remove-background.
+function acceptImageUpload(req, res, next) {
+  upload.fields([
+    { name: "image", maxCount: 1 },
+    { name: "background", maxCount: 1 },
+  ])(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        error: "invalid_upload",
+        message: err.message || "Could not read the uploaded image.",
+      });
+    }
+    return next();
+  });
+}
+
+// Trust the bytes, not the client-declared content type.
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x89504e47) return "image/png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+}
+
+function decodeImageDataUrl(value) {
+  const str = (value || "").toString().trim();
+  if (!str) return null;
+  const match = str.match(/^data:image\/[a-z0-9.+-]+;base64,(.+)$/i);
+  return Buffer.from(match ? match[1] : str, "base64");
+}
+
+// Returns { ok: true, buffer, mimeType, source, libraryItem }
+// (buffer is null when nothing was sent) or { ok: false, code, message }.
+async function loadSourceImage(req, userCtx) {
+  let buffer = null;
+  let source = null;
+  let libraryItem = null;
+
+  const uploaded = req.files?.image?.[0];
+
+  if (uploaded?.buffer) {
+    buffer = uploaded.buffer;
+    source = "upload";
+  } else if (req.body?.imageBase64) {
+    buffer = decodeImageDataUrl(req.body.imageBase64);
+    source = "base64";
+  } else if (req.body?.sourceRequestId) {
+    libraryItem = await getLibraryItem(
+      userCtx.userId,
+      req.body.sourceRequestId.toString().trim()
+    );
+    if (!libraryItem) {
+      return {
+        ok: false,
+        code: "source_not_found",
+        message: "No frame with that sourceRequestId in your Library.",
+      };
+    }
+    buffer = libraryItem.mediaId
+      ? await mediaStore.read(libraryItem.mediaId)
+      : decodeImageDataUrl(libraryItem.imageUrl);
+    source = "library";
+  }
+
+  if (!buffer) {
+    return { ok: true, buffer: null, mimeType: null, source: null, libraryItem: null };
+  }
+
+  if (buffer.length > MAX_SOURCE_IMAGE_BYTES) {
+    return { ok: false, code: "image_too_large", message: "Source image is larger than 20MB." };
+  }
+
+  const mimeType = sniffImageType(buffer);
+  if (!mimeType) {
+    return {
+      ok: false,
+      code: "unsupported_image",
+      message: "Source image must be a PNG, JPEG or WebP.",
+    };
+  }
+
+  return { ok: true, buffer, mimeType, source, libraryItem };
+}
+
+async function toOpenAIImageFile(buffer, mimeType, name = "source") {
+  const ext = mimeType.split("/")[1].replace("jpeg", "jpg");
+  return toFile(buffer, `${name}.${ext}`, { type: mimeType });
+}
+
+/* ============  IMAGE PROCESSING (SHARP)  ============ */
+
+const BACKGROUND_MODES = ["transparent", "color", "replace"];
+
+// The edit model only renders its own sizes, so the source is letterboxed
+// (never stretched) into the supported size closest to its aspect. The mask
+// is later cut back out of `box`, which keeps it on the source's geometry.
+// Returns { image, size, box: { left, top, width, height } }.
+async function letterboxForModel(sourceBuffer, model) {
+  const { width, height } = await readImageSize(sourceBuffer);
+  const frame = planFrameSize(model, `${width}:${height}`);
+  const size = frame.ok ? frame.generatedSize : model.sizes[0];
+  const [canvasWidth, canvasHeight] = size.split("x").map(Number);
+
+  const scale = Math.min(canvasWidth / width, canvasHeight / height);
+  const box = {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+  box.left = Math.floor((canvasWidth - box.width) / 2);
+  box.top = Math.floor((canvasHeight - box.height) / 2);
+
+  const image = await sharp(sourceBuffer)
+    .rotate()
+    .resize(box.width, box.height, { fit: "fill" })
+    .extend({
+      left: box.left,
+      top: box.top,
+      right: canvasWidth - box.width - box.left,
+      bottom: canvasHeight - box.height - box.top,
+      background: { r: 255, g: 255, b: 255, alpha: 1 },
+    })
+    .png()
+    .toBuffer();
+
+  return { image, size, box };
+}
+
+// Applies the alpha channel of the model's cutout to the ORIGINAL pixels,
+// so the subject itself is never re-rendered. `letterbox` (letterboxForModel)
+// says where the source sits inside the model's frame.
+// Returns { ok: true, subject, mask, width, height } (PNG buffers), or
+// { ok: false, code: "no_cutout" } when the model gave back no usable
+// transparency (no alpha, fully opaque or fully transparent).
+async function cutOutSubject(sourceBuffer, cutoutBuffer, letterbox) {
+  const original = await sharp(sourceBuffer)
+    .rotate()
+    .removeAlpha()
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = original.info;
+
+  const cutoutMeta = await sharp(cutoutBuffer).metadata();
+  if (!cutoutMeta.hasAlpha) {
+    return { ok: false, code: "no_cutout" };
+  }
+
+  // Same aspect as the letterboxed frame, so this only rescales.
+  const [frameWidth, frameHeight] = letterbox.size.split("x").map(Number);
+  const mask = await sharp(
+    await sharp(cutoutBuffer)
+      .extractChannel("alpha")
+      .resize(frameWidth, frameHeight, { fit: "fill" })
+      .extract(letterbox.box)
+      .toBuffer()
+  )
+    .resize(width, height, { fit: "fill" })
+    .png()
+    .toBuffer();
+
+  const alpha = (await sharp(mask).stats()).channels[0];
+  if (alpha.min === 255 || alpha.max === 0) {
+    return { ok: false, code: "no_cutout" };
+  }
+
+  const subject = await sharp(original.data).joinChannel(mask).png().toBuffer();
+
+  return { ok: true, subject, mask, width, height };
+}
+
+async function flattenOnColor(subjectBuffer, hexColor) {
+  const color = hexColor.startsWith("#") ? hexColor : `#${hexColor}`;
+  return sharp(subjectBuffer).flatten({ background: color }).png().toBuffer();
+}
 
-    if (error) {
-      console.error("❌ Supabase logGeneration error:", error);
-    }
-    */
-  } catch (err) {
-    console.error("❌ logGeneration error:", err);
-  }
+// Width / height after EXIF orientation is applied.
+async function readImageSize(buffer) {
+  const meta = await sharp(buffer).metadata();
+  const rotated = (meta.orientation || 1) >= 5;
+  return {
+    width: rotated ? meta.height : meta.width,
+    height: rotated ? meta.width : meta.height,
+  };
 }
 
-// Utility for simple request ids
-function makeRequestId() {
-  return (
-    "lmx_" +
-    Date.now().toString(36) +
-    "_" +
-    Math.random().toString(36).slice(2, 8)
-  );
+async function compositeOnBackground({ subject, width, height }, backgroundBuffer) {
+  return sharp(backgroundBuffer)
+    .rotate()
+    .resize(width, height, { fit: "cover" })
+    .composite([{ input: subject }])
+    .png()
+    .toBuffer();
 }
 
-/* ============  CAPTION + HASHTAGS HELPER  ============ */
+/* ============  SHARE ROUTES  ============ */
 
-// Builds a social-friendly caption + hashtags for each frame.
-// Never throws; if anything fails, it just returns empty strings.
-async function buildCaptionAndTags({ prompt, magicPrompt }) {
-  try {
-    const basePrompt = magicPrompt || prompt || "";
-    if (!basePrompt) {
-      return { caption: "", hashtags: "" };
-    }
+// Body: { requestId, expiresInHours? }. Only the frame's owner can share it.
+app.post("/lmx1/share", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "share links")) return;
 
-    const completion = await client.chat.completions.create({
-      model: TEXT_MODEL,
-      messages: [
-        {
-          role: "system",
-          content:
-            "You are LMX Synthetic's caption engine. " +
-            "Given a short description of an AI image, you return a JSON object with a punchy caption and 8–12 relevant hashtags. " +
-            "Keep the caption under 120 characters, no emojis. Hashtags should be lower_case or camelCase, no spaces, each starting with '#'.",
-        },
-        {
-          role: "user",
-          content:
-            `Image description: ${basePrompt}\n\n` +
-            "Respond ONLY as valid JSON with this shape:\n" +
-            `{"caption": "...", "hashtags": ["#tag1", "#tag2"]}`,
-        },
-      ],
-      temperature: 0.7,
-      max_tokens: 180,
+  const requestId = (req.body?.requestId || "").toString().trim();
+  const expiresInHours = Number(req.body?.expiresInHours || 0);
+
+  if (!requestId) {
+    return res.status(400).json({ error: "Missing requestId." });
+  }
+  if (
+    Number.isNaN(expiresInHours) ||
+    expiresInHours < 0 ||
+    expiresInHours > MAX_SHARE_TTL_HOURS
+  ) {
+    return res.status(400).json({
+      error: "invalid_expiry",
+      message: `expiresInHours must be between 0 (never) and ${MAX_SHARE_TTL_HOURS}.`,
     });
+  }
 
-    const raw = completion.choices?.[0]?.message?.content?.trim() || "";
+  const item = await getLibraryItem(userCtx.userId, requestId);
+  if (!item || !item.mediaId) {
+    return res.status(404).json({ error: "not_found", requestId });
+  }
 
-    let caption = "";
-    let hashtags = "";
+  try {
+    // Older frames may have no caption yet; build one so the preview has text.
+    let { caption, hashtags } = item;
+    if (!caption && !hashtags) {
+      ({ caption, hashtags } = await buildCaptionAndTags({
+        prompt: item.prompt,
+        magicPrompt: item.magicPrompt,
+      }));
+    }
 
-    try {
-      const parsed = JSON.parse(raw);
-      if (parsed && typeof parsed === "object") {
-        caption =
-          typeof parsed.caption === "string" ? parsed.caption.trim() : "";
-        if (Array.isArray(parsed.hashtags)) {
-          hashtags = parsed.hashtags
-            .filter((h) => typeof h === "string" && h.trim().length > 0)
-            .join(" ");
-        }
-      }
-    } catch (e) {
-      // If parsing fails, just fall back to raw text as caption
-      caption = raw;
-      hashtags = "";
+    let shareId = makeShareId();
+    while (await sharesStore.get(shareId)) {
+      shareId = makeShareId();
     }
 
-    return {
+    const now = Date.now();
+    const share = {
+      shareId,
+      requestId,
+      userId: userCtx.userId,
+      mediaId: item.mediaId,
       caption: caption || "",
       hashtags: hashtags || "",
+      views: 0,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: expiresInHours
+        ? new Date(now + expiresInHours * 60 * 60 * 1000).toISOString()
+        : null,
+      revokedAt: null,
     };
+
+    await sharesStore.set(shareId, share);
+    console.log("🔗 Share link created", { userId: userCtx.userId, requestId, shareId });
+
+    return res.status(201).json(presentShare(share, req));
   } catch (err) {
-    console.error("❌ buildCaptionAndTags error:", err);
-    return { caption: "", hashtags: "" };
+    console.error("🔥 /lmx1/share error:", err);
+    return res.status(500).json({
+      error: "server_error",
+      message: err?.message || "Could not create share link.",
+    });
   }
-}
+});
+
+// The caller's share links with view counts. ?requestId= narrows to one frame.
+app.get("/lmx1/shares", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "share links")) return;
+
+  const requestId = (req.query.requestId || "").toString().trim();
+  const shares = (await sharesStore.values())
+    .filter((sh) => sh.userId === userCtx.userId)
+    .filter((sh) => !requestId || sh.requestId === requestId)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    .map((sh) => presentShare(sh, req));
+
+  return res.json({ shares });
+});
+
+app.delete("/lmx1/share/:shareId", async (req, res) => {
+  const userCtx = getUserContext(req);
+  if (!requireSignedIn(userCtx, res, "share links")) return;
+
+  const share = await sharesStore.get(req.params.shareId);
+  if (!share || share.userId !== userCtx.userId) {
+    return res.status(404).json({ error: "not_found" });
+  }
+
+  const revoked = await sharesStore.update(share.shareId, (current) => ({
+    ...current,
+    revokedAt: current.revokedAt || new Date().toISOString(),
+  }));
+
+  return res.json(presentShare(revoked, req));
+});
+
+// Public preview page. Every successful render counts as one view.
+app.get("/s/:shareId", async (req, res) => {
+  const share = await sharesStore.get(req.params.shareId);
+  if (!isShareActive(share)) {
+    return res.status(share ? 410 : 404).type("html").send(renderShareGonePage());
+  }
+
+  await sharesStore.update(share.shareId, (current) => ({
+    ...current,
+    views: (current.views || 0) + 1,
+    lastViewedAt: new Date().toISOString(),
+  }));
+
+  res.set("Cache-Control", "no-store");
+  return res.type("html").send(
+    renderSharePage({
+      title: share.caption || "LMX Synthetic Designer frame",
+      caption: share.caption,
+      hashtags: share.hashtags,
+      imageUrl: shareImageUrlFor(share.shareId, req),
+      pageUrl: shareUrlFor(share.shareId, req),
+    })
+  );
+});
+
+// The shared image itself; only served while the share is active.
+app.get("/s/:shareId/image", async (req, res) => {
+  const share = await sharesStore.get(req.params.shareId);
+  if (!isShareActive(share)) {
+    return res.status(share ? 410 : 404).json({ error: "share_unavailable" });
+  }
+
+  try {
+    const buffer = await mediaStore.read(share.mediaId);
+    if (!buffer) {
+      return res.status(404).json({ error: "not_found" });
+    }
+    res.set({
+      "Content-Type": contentTypeForMediaId(share.mediaId),
+      "Cache-Control": "public, max-age=300",
+    });
+    return res.send(buffer);
+  } catch (err) {
+    console.error("🔥 /s/:shareId/image error:", { shareId: share.shareId, error: err?.message || err });
+    return res.status(500).json({ error: "server_error" });
+  }
+});
 
 /* ============  MAIN GENERATE ROUTE  ============ */
 
-app.post("/lmx1/generate", async (req, res) => {
-  const requestId = makeRequestId();
+// Each operation is a plain function returning { status, body } so the
+// synchronous routes and the job queue (POST /lmx1/jobs) share one code path.
+// `creditCost` is set by runGenerateBatch so every frame pays the batch's unit price.
+// `promptSafety`: a checkPromptSafety result for this prompt the caller (a
+// batch) already has, so the frames don't screen it again.
+async function runGenerate(req, { requestId, onProgress = () => {}, signal, creditCost, promptSafety } = {}) {
   const userCtx = getUserContext(req);
   const clientIp = getClientIp(req);
 
   // 1) Ban check
-  const banResult = checkBan(userCtx, req);
+  const banResult = await checkBan(userCtx, req);
   if (banResult.banned) {
     console.warn("⛔ Blocked banned user/ip", {
       requestId,
@@ -496,12 +5261,18 @@ app.post("/lmx1/generate", async (req, res) => {
       reason: banResult.reason,
     });
 
-    return res.status(403).json({
-      error: "banned",
-      message: "Your account or IP is blocked from using this service.",
-      code: banResult.reason,
-      requestId,
-    });
+    return {
+      status: 403,
+      body: {
+        error: "banned",
+        message: banResult.expiresAt
+          ? `Your account or IP is temporarily blocked until ${banResult.expiresAt}.`
+          : "Your account or IP is blocked from using this service.",
+        code: banResult.reason,
+        expiresAt: banResult.expiresAt || null,
+        requestId,
+      },
+    };
   }
 
   try {
@@ -509,32 +5280,60 @@ app.post("/lmx1/generate", async (req, res) => {
       prompt: rawPrompt,
       style: rawStyle,   // style from UI (e.g. "anime", "cinematic", etc.)
       ratio: rawRatio,
+      cropAnchor: rawCropAnchor,   // where to crop when the ratio needs it (CROP_ANCHORS)
       model: rawModel,
     } = req.body || {};
 
     const prompt = (rawPrompt || "").trim();
-    const ratio = (rawRatio || "").trim() || "1:1";
-    const model = (rawModel || "").trim() || "gpt-image-1";
 
     // ===== RESOLVE STYLE =====
-    let styleKeyRaw = (rawStyle || "").toString().trim();
-    let styleKey = styleKeyRaw.toLowerCase();
-    let resolvedStyle = "";
+    // User / team presets, then STYLE_MAP, then raw text. A preset can also
+    // supply the ratio and model when the request leaves them out.
+    const style = await resolveStyle(userCtx, rawStyle);
+    const styleKey = style.styleKey;
+    const resolvedStyle = style.resolvedStyle;
+
+    const modelLookup = resolveImageModel(rawModel || style.model, { feature: "generate" });
+    if (!modelLookup.ok) {
+      return { status: 400, body: { ...modelLookup.body, requestId } };
+    }
+    const imageModel = modelLookup.model;
+    const model = imageModel.id;
 
-    if (styleKey && STYLE_MAP[styleKey]) {
-      // Use strong preset when it matches a key (anime / cinematic / realistic / etc.)
-      resolvedStyle = STYLE_MAP[styleKey];
-    } else if (styleKeyRaw) {
-      // If it's not a known key, just use whatever text the UI sent
-      resolvedStyle = styleKeyRaw;
+    // Render at the model's closest size, deliver the exact ratio
+    const frame = planFrameSize(imageModel, rawRatio || style.ratio);
+    if (!frame.ok) {
+      return { status: 400, body: { ...frame.body, requestId } };
     }
+    const cropAnchor = parseCropAnchor(rawCropAnchor);
+    if (!cropAnchor) {
+      return { status: 400, body: { ...invalidCropAnchorBody(), requestId } };
+    }
+    const ratio = frame.ratio;
+    const generatedSize = frame.generatedSize;
+    const size = `${frame.width}x${frame.height}`;
 
     if (!prompt) {
-      return res.status(400).json({ error: "Missing prompt." });
+      return { status: 400, body: { error: "Missing prompt." } };
+    }
+
+    const [outputWidth, outputHeight] = generatedSize.split("x").map(Number);
+    const entitlement = await checkEntitlement(userCtx, req, {
+      operation: "generate",
+      model,
+      width: outputWidth,
+      height: outputHeight,
+      requestId,
+    });
+    if (!entitlement.ok) {
+      return { status: entitlement.status, body: entitlement.body };
     }
 
-    // 2) Content safety filter (stronger)
-    const safety = runContentFilter(prompt);
+    // 2) Content safety filter (keyword rules + optional model moderation)
+    const safety = promptSafety || (await checkPromptSafety(prompt));
+    if (safety.unavailable) {
+      return moderationUnavailableResponse(safety, requestId);
+    }
     if (!safety.ok) {
       console.warn("⚠️ Blocked prompt by LMX safety rules.", {
         requestId,
@@ -542,18 +5341,39 @@ app.post("/lmx1/generate", async (req, res) => {
         plan: userCtx.plan,
         ip: clientIp || null,
         code: safety.code,
+        ruleVersion: safety.ruleVersion,
+        matched: safety.matched,
       });
 
-      return res.status(400).json({
-        error: "unsafe_content",
-        message: safety.message || "Prompt blocked by LMX safety rules.",
-        code: safety.code || "unsafe_content",
+      const strike = await recordBlockedPrompt(userCtx, req, {
+        safety,
+        prompt,
         requestId,
+        operation: "generate",
       });
+
+      return {
+        status: 400,
+        body: {
+          error: "unsafe_content",
+          message: safety.message || "Prompt blocked by LMX safety rules.",
+          code: safety.code || "unsafe_content",
+          ruleVersion: safety.ruleVersion || null,
+          strike: strike || undefined,
+          requestId,
+        },
+      };
     }
 
     // 3) Credits or plan check
-    const creditCheck = await checkCredits(userCtx, req);
+    const creditCheck = await reserveOperationCredits(userCtx, req, {
+      requestId,
+      operation: "generate",
+      model,
+      width: outputWidth,
+      height: outputHeight,
+      cost: creditCost,
+    });
     if (!creditCheck.ok) {
       console.warn("⛔ Credits check blocked generation", {
         requestId,
@@ -563,132 +5383,439 @@ app.post("/lmx1/generate", async (req, res) => {
       });
 
       // 402 Payment Required is perfect for "upgrade" or "buy tokens"
-      return res.status(402).json({
-        error: "no_credits",
-        message: creditCheck.message || "You are out of credits.",
-        code: creditCheck.code || "no_credits",
-        remaining: creditCheck.remaining ?? 0,
-        requestId,
-      });
+      return {
+        status: 402,
+        body: {
+          error: "no_credits",
+          message: creditCheck.message || "You are out of credits.",
+          code: creditCheck.code || "no_credits",
+          remaining: creditCheck.remaining ?? 0,
+          requestId,
+        },
+      };
     }
 
-    const size = mapRatioToSize(ratio);
-
-    // Build the LMX flavored "magic" prompt
-    const magicPrompt = [
-      resolvedStyle ? `Style: ${resolvedStyle}.` : "",
-      "LMX Synthetic Designer frame.",
-      `Ratio hint: ${ratio}.`,
+    // Build the LMX flavored "magic" prompt (expanded by TEXT_MODEL when asked)
+    const enhance = wantsMagicPrompt(req.body);
+    if (enhance) onProgress("enhancing", 10);
+    const magic = await buildMagicPrompt({
       prompt,
-    ]
-      .filter(Boolean)
-      .join(" ");
+      style: resolvedStyle,
+      negative: style.negative,
+      ratio,
+      enhance,
+    });
+    const magicPrompt = magic.magicPrompt;
 
     console.log("🖼  Generating image", {
       requestId,
       userId: userCtx.userId || "guest",
       plan: userCtx.plan,
       ip: clientIp || null,
+      generatedSize,
       size,
       ratio,
       styleKey: styleKey || null,
       resolvedStyle: resolvedStyle || null,
       model,
+      enhanced: magic.enhanced,
+      magicPromptFallback: magic.fallbackReason,
+    });
+
+    onProgress("rendering", 25);
+    // 4) Call the model's image provider
+    const result = await getImageProvider(imageModel).generate({
+      model: imageModel,
+      prompt: magicPrompt,
+      size: generatedSize,
+      signal,
+    });
+
+    if (!result.base64) {
+      console.error("❌ Image provider returned no data:", { requestId, model, response: result.raw });
+      await releaseCredits(requestId, "no_image_data");
+      return { status: 500, body: { error: "no_image_data", requestId } };
+    }
+
+    const output = await cropToFrame(Buffer.from(result.base64, "base64"), frame, cropAnchor);
+    const base64 = output.toString("base64");
+
+    // Cancelled while rendering: the catch below releases the reservation.
+    signal?.throwIfAborted();
+
+    onProgress("checking", 60);
+    const screen = await screenOutputImage(output, {
+      req,
+      userCtx,
+      requestId,
+      operation: "generate",
+      prompt,
+    });
+    if (!screen.ok) {
+      return { status: screen.status, body: screen.body };
+    }
+
+    // Save the frame and hand out a /media URL instead of a multi-MB data URL
+    const stored = await storeOutputImage(`${requestId}.png`, output, req);
+    const imageUrl = stored.url;
+
+    // 5) Build caption + hashtags (non-blocking helper)
+    onProgress("captioning", 70);
+    const { caption, hashtags } = await buildCaptionAndTags({
+      prompt,
+      magicPrompt,
+    });
+
+    // 6) Log generation (for analytics and Library)
+    onProgress("saving", 90);
+    await logGeneration(userCtx, {
+      requestId,
+      operation: "generate",
+      prompt,
+      magicPrompt,
+      caption,
+      hashtags,
+      style: resolvedStyle || "Auto",
+      styleKey: styleKey || null,
+      stylePreset: style.preset,
+      ratio,
+      size,
+      model,
+      imageUrl,
+      mediaId: stored.mediaId,
+      ip: clientIp || null,
+    });
+
+    // Delivered: the reservation becomes a charge
+    await commitCredits(requestId);
+
+    // 7) Return everything to frontend
+    return {
+      status: 200,
+      body: {
+        base64: wantsBase64(req) ? base64 : undefined,
+        imageUrl,              // /media URL for the saved frame
+        magicPrompt,           // full professional prompt used to generate
+        enhanced: magic.enhanced, // true when TEXT_MODEL expanded the prompt
+        caption,               // short caption for social
+        hashtags,              // string of hashtags "#one #two ..."
+        ratio,                 // requested ratio, delivered exactly
+        generatedSize,         // what the model rendered
+        size,                  // delivered frame after cropping
+        width: frame.width,
+        height: frame.height,
+        cropAnchor,
+        style: resolvedStyle || "Auto",
+        stylePreset: style.preset,   // { id, version, source } when a saved preset was used
+        model,
+        requestId,
+        userId: userCtx.userId || null,
+        plan: userCtx.plan,
+      },
+    };
+  } catch (err) {
+    console.error("🔥 /lmx1/generate error:", {
+      requestId,
+      error: err?.response?.data || err,
     });
 
-    // 4) Call OpenAI image model
-    const response = await client.images.generate({
-      model,
-      prompt: magicPrompt,
-      n: 1,
-      size,
+    await releaseCredits(requestId, "openai_error").catch((refundErr) => {
+      console.error("❌ releaseCredits error:", { requestId, refundErr });
+    });
+
+    const status = err?.status || err?.response?.status || 500;
+
+    return {
+      status,
+      body: {
+        error: "server_error",
+        message: err?.message || "Unexpected error in LMX backend.",
+        requestId,
+      },
+    };
+  }
+}
+
+/* ============  BATCH GENERATION (VARIATIONS + STYLE SWEEP)  ============ */
+
+// A generate request is a batch when it asks for
+// `variations` > 1 (same prompt, N options) and/or a `styleSweep` array of style
+// keys (STYLE_MAP or the caller's presets, see GET /lmx1/styles).
+function isBatchRequest(req) {
+  const variations = Number(req.body?.variations || 1);
+  return variations > 1 || Array.isArray(req.body?.styleSweep);
+}
+
+// Renders every frame through runGenerate in parallel, so each one gets its own
+// requestId, credit debit, caption, hashtags and Library row.
+async function runGenerateBatch(req, { requestId, onProgress = () => {}, signal } = {}) {
+  const userCtx = getUserContext(req);
+  const variations = Number(req.body?.variations || 1);
+  const styleSweep = Array.isArray(req.body?.styleSweep)
+    ? req.body.styleSweep.map((key) => String(key).trim().toLowerCase()).filter(Boolean)
+    : [];
+  // Frames per request come from the plan (variations × styles).
+  const maxBatch = getPlanEntitlements(userCtx.plan).maxBatch;
+
+  if (!Number.isInteger(variations) || variations < 1) {
+    return {
+      status: 400,
+      body: { error: "invalid_variations", message: "variations must be a whole number from 1.", requestId },
+    };
+  }
+
+  const sweepStyles = await Promise.all(styleSweep.map((key) => resolveStyle(userCtx, key)));
+  const unknownStyles = styleSweep.filter((key, i) => sweepStyles[i].source === "custom");
+  if (Array.isArray(req.body?.styleSweep) && (styleSweep.length === 0 || unknownStyles.length > 0)) {
+    return {
+      status: 400,
+      body: {
+        error: "invalid_style_sweep",
+        message: "styleSweep must list style keys from GET /lmx1/styles.",
+        unknownStyles,
+        requestId,
+      },
+    };
+  }
+
+  const styles = styleSweep.length > 0 ? styleSweep : [req.body?.style];
+  const frameCount = styles.length * variations;
+
+  if (frameCount > maxBatch) {
+    return {
+      status: 403,
+      body: {
+        error: "plan_not_allowed",
+        message: `Your plan allows up to ${maxBatch} frames per request.`,
+        code: "batch_too_large",
+        maxBatch,
+        requested: frameCount,
+        requiredPlan: lowestPlanWhere((e) => e.maxBatch >= frameCount),
+        requestId,
+      },
+    };
+  }
+
+  // One cap check for the whole batch: frames check concurrently, so each
+  // would see the same count and the batch could end up past the cap.
+  const entitlement = await checkEntitlement(userCtx, req, {
+    operation: "generate",
+    frames: frameCount,
+    requestId,
+  });
+  if (!entitlement.ok) {
+    return { status: entitlement.status, body: entitlement.body };
+  }
+
+  // The prompt is screened once here and the verdict handed to every frame.
+  // A blocked prompt is one violation (one strike), not one per frame: let a
+  // single runGenerate report it.
+  const safety = await checkPromptSafety((req.body?.prompt || "").toString().trim());
+  if (!safety.ok) {
+    const singleReq = snapshotRequest(req);
+    singleReq.body = { ...singleReq.body, variations: undefined, styleSweep: undefined };
+    return runGenerate(singleReq, { requestId, signal, promptSafety: safety });
+  }
+
+  // Fail fast instead of rendering half a batch and running dry.
+  // Presets may bring their own model / ratio, so each style is priced on its own.
+  const balance = await getCreditBalance(getLedgerAccountId(userCtx, getClientIp(req)));
+  const unitPrices = [];
+  let required = 0;
+  for (const [i, style] of styles.entries()) {
+    const resolved = sweepStyles[i] || (await resolveStyle(userCtx, style));
+    const modelLookup = resolveImageModel(req.body?.model || resolved.model, { feature: "generate" });
+    if (!modelLookup.ok) {
+      return { status: 400, body: { ...modelLookup.body, requestId } };
+    }
+
+    const frame = planFrameSize(modelLookup.model, req.body?.ratio || resolved.ratio);
+    if (!frame.ok) {
+      return { status: 400, body: { ...frame.body, requestId } };
+    }
+    const [frameWidth, frameHeight] = frame.generatedSize.split("x").map(Number);
+    const price = priceFor({
+      operation: "generate",
+      model: modelLookup.model.id,
+      width: frameWidth,
+      height: frameHeight,
+      frames: frameCount,
+    });
+    unitPrices.push(price.unit);
+    required += price.unit * variations;
+  }
+  if (balance < required) {
+    return {
+      status: 402,
+      body: {
+        error: "no_credits",
+        message: `This batch needs ${required} credits.`,
+        code: "insufficient_credits_for_batch",
+        required,
+        remaining: balance,
+        requestId,
+      },
+    };
+  }
+
+  console.log("🧩 Batch generation", {
+    batchId: requestId,
+    userId: userCtx.userId || "guest",
+    plan: userCtx.plan,
+    frames: frameCount,
+    styles: styleSweep.length > 0 ? styleSweep : null,
+  });
+
+  const base = snapshotRequest(req);
+  let finished = 0;
+  onProgress("rendering", 5);
+
+  const frames = await Promise.all(
+    styles.flatMap((style, i) =>
+      Array.from({ length: variations }, async () => {
+        const frameRequestId = makeRequestId();
+        const frameReq = {
+          ...base,
+          body: { ...base.body, style, variations: undefined, styleSweep: undefined },
+        };
+        const { status, body } = await runGenerate(frameReq, {
+          requestId: frameRequestId,
+          signal,
+          creditCost: unitPrices[i],
+          promptSafety: safety,
+        });
+        finished += 1;
+        onProgress("rendering", Math.round((finished / frameCount) * 95));
+        return { status, body: { requestId: frameRequestId, ...body } };
+      })
+    )
+  );
+
+  const succeeded = frames.filter((f) => f.status >= 200 && f.status < 300);
+  if (succeeded.length === 0) {
+    // Nothing rendered: surface the first error as the batch error.
+    return frames[0];
+  }
+
+  return {
+    status: 200,
+    body: {
+      batchId: requestId,
+      count: frames.length,
+      succeeded: succeeded.length,
+      failed: frames.length - succeeded.length,
+      frames: frames.map((f) => f.body),
+      userId: userCtx.userId || null,
+      plan: userCtx.plan,
+    },
+  };
+}
+
+function runGenerateOrBatch(req, options) {
+  return isBatchRequest(req) ? runGenerateBatch(req, options) : runGenerate(req, options);
+}
+
+app.post("/lmx1/generate", rateLimit("generate"), (req, res) =>
+  sendIdempotent(req, res, "generate", (requestId) => runGenerateOrBatch(req, { requestId }))
+);
+
+/* ============  MAGIC PROMPT PREVIEW ROUTE  ============ */
+
+// Shows what a generate call would send to the image model, without rendering
+// or charging credits. Body: { prompt, style?, ratio? }. The preview always
+// expands for signed-in callers (unless LMX_MAGIC_PROMPT is "off"), so the UI
+// can offer it as a button. Nothing pays for a guest's text-model call, so
+// guests only get expansions that are already cached and the template otherwise.
+app.post("/lmx1/magic-prompt", rateLimit("magic-prompt"), async (req, res) => {
+  const requestId = makeRequestId();
+  const userCtx = getUserContext(req);
+
+  const banResult = await checkBan(userCtx, req);
+  if (banResult.banned) {
+    return res.status(403).json({
+      error: "banned",
+      message: banResult.expiresAt
+        ? `Your account or IP is temporarily blocked until ${banResult.expiresAt}.`
+        : "Your account or IP is blocked from using this service.",
+      code: banResult.reason,
+      expiresAt: banResult.expiresAt || null,
+      requestId,
     });
+  }
 
-    if (
-      !response ||
-      !response.data ||
-      !response.data[0] ||
-      !response.data[0].b64_json
-    ) {
-      console.error("❌ OpenAI returned no data:", { requestId, response });
-      return res.status(500).json({ error: "no_image_data", requestId });
-    }
+  const { prompt: rawPrompt, style: rawStyle, ratio: rawRatio } = req.body || {};
+  const prompt = (rawPrompt || "").toString().trim();
+  if (!prompt) {
+    return res.status(400).json({ error: "Missing prompt.", requestId });
+  }
 
-    const base64 = response.data[0].b64_json;
+  try {
+    const style = await resolveStyle(userCtx, rawStyle);
+    const ratio = parseRatio((rawRatio || style.ratio || "").toString().trim() || "1:1");
+    if (!ratio) {
+      return res.status(400).json({ ...invalidRatioBody(), requestId });
+    }
 
-    // Build a shareable data URL (never expires, can be used in <img src="...">)
-    const imageUrl = `data:image/png;base64,${base64}`;
+    const safety = await checkPromptSafety(prompt);
+    if (safety.unavailable) {
+      const unavailable = moderationUnavailableResponse(safety, requestId);
+      return res.status(unavailable.status).json(unavailable.body);
+    }
+    if (!safety.ok) {
+      const strike = await recordBlockedPrompt(userCtx, req, {
+        safety,
+        prompt,
+        requestId,
+        operation: "magic-prompt",
+      });
 
-    // 5) Build caption + hashtags (non-blocking helper)
-    const { caption, hashtags } = await buildCaptionAndTags({
-      prompt,
-      magicPrompt,
-    });
+      return res.status(400).json({
+        error: "unsafe_content",
+        message: safety.message || "Prompt blocked by LMX safety rules.",
+        code: safety.code || "unsafe_content",
+        ruleVersion: safety.ruleVersion || null,
+        strike: strike || undefined,
+        requestId,
+      });
+    }
 
-    // 6) Log generation (for analytics and Library)
-    await logGeneration(userCtx, {
-      requestId,
+    const magic = await buildMagicPrompt({
       prompt,
-      magicPrompt,
-      caption,
-      hashtags,
-      style: resolvedStyle || "Auto",
-      ratio,
-      size,
-      model,
-      imageUrl,
-      ip: clientIp || null,
+      style: style.resolvedStyle,
+      negative: style.negative,
+      ratio: ratio.text,
+      enhance: MAGIC_PROMPT_MODE !== "off",
+      cachedOnly: userCtx.isGuest,
     });
 
-    // 7) Return everything to frontend
     return res.json({
-      base64,
-      imageUrl,              // shareable link string
-      magicPrompt,           // full professional prompt used to generate
-      caption,               // short caption for social
-      hashtags,              // string of hashtags "#one #two ..."
-      ratio,
-      size,
-      style: resolvedStyle || "Auto",
-      model,
+      prompt,
+      magicPrompt: magic.magicPrompt,
+      enhanced: magic.enhanced,
+      cached: magic.cached,
+      fallbackReason: magic.fallbackReason || (MAGIC_PROMPT_MODE === "off" ? "disabled" : null),
+      style: style.resolvedStyle || "Auto",
+      stylePreset: style.preset,
+      ratio: ratio.text,
+      textModel: TEXT_MODEL,
       requestId,
-      userId: userCtx.userId || null,
-      plan: userCtx.plan,
     });
   } catch (err) {
-    console.error("🔥 /lmx1/generate error:", {
-      requestId,
-      error: err?.response?.data || err,
-    });
-
-    const status = err?.status || err?.response?.status || 500;
-
-    return res.status(status).json({
-      error: "server_error",
-      message: err?.message || "Unexpected error in LMX backend.",
-      requestId,
-    });
+    console.error("🔥 /lmx1/magic-prompt error:", { requestId, error: err?.message || err });
+    return res.status(500).json({ error: "magic_prompt_failed", message: "Could not build the prompt.", requestId });
   }
 });
 
 /* ============  REMIX ROUTE (LMX SYNTHETIC PROMPT)  ============ */
 
-app.post("/lmx1/remix", async (req, res) => {
-  const requestId = makeRequestId();
+// With a source image (upload / imageBase64 / sourceRequestId) this is a real
+// image-to-image edit that keeps the original composition. Without one it
+// falls back to the text-only remix.
+async function runRemix(req, { requestId, onProgress = () => {}, signal } = {}) {
   const userCtx = getUserContext(req);
   const clientIp = getClientIp(req);
 
-  // Gate remix to paid tiers if you want
-  const allowedPlans = ["creator", "pro", "studio"];
-  if (!allowedPlans.includes(userCtx.plan)) {
-    return res.status(403).json({
-      error: "plan_not_allowed",
-      message: "Remix is only available on Creator and above.",
-      requestId,
-    });
-  }
-
-  const banResult = checkBan(userCtx, req);
+  const banResult = await checkBan(userCtx, req);
   if (banResult.banned) {
     console.warn("⛔ Blocked banned user/ip (remix)", {
       requestId,
@@ -698,12 +5825,18 @@ app.post("/lmx1/remix", async (req, res) => {
       reason: banResult.reason,
     });
 
-    return res.status(403).json({
-      error: "banned",
-      message: "Your account or IP is blocked from using this service.",
-      code: banResult.reason,
-      requestId,
-    });
+    return {
+      status: 403,
+      body: {
+        error: "banned",
+        message: banResult.expiresAt
+          ? `Your account or IP is temporarily blocked until ${banResult.expiresAt}.`
+          : "Your account or IP is blocked from using this service.",
+        code: banResult.reason,
+        expiresAt: banResult.expiresAt || null,
+        requestId,
+      },
+    };
   }
 
   try {
@@ -712,21 +5845,83 @@ app.post("/lmx1/remix", async (req, res) => {
       basePrompt: rawBasePrompt,   // original frame description / original prompt
       style: rawStyle,
       ratio: rawRatio,
+      cropAnchor: rawCropAnchor,
       model: rawModel,
     } = req.body || {};
 
     const remixPrompt = (rawRemixPrompt || "").trim();
-    const basePrompt = (rawBasePrompt || "").trim();
-    const ratio = (rawRatio || "").trim() || "1:1";
-    const model = (rawModel || "").trim() || "gpt-image-1";
+    const ratioRequested = Boolean((rawRatio || "").toString().trim());
+
+    // User / team presets, then STYLE_MAP, then raw text. The remix mode is only
+    // known once the source loads, so a preset's model is a default only if it can edit.
+    const style = await resolveStyle(userCtx, rawStyle);
+    const styleKey = style.styleKey;
+    const resolvedStyle = style.resolvedStyle;
+    const presetModel = IMAGE_MODELS[style.model]?.features.includes("edit") ? style.model : undefined;
+
+    const modelLookup = resolveImageModel(rawModel || presetModel);
+    if (!modelLookup.ok) {
+      return { status: 400, body: { ...modelLookup.body, requestId } };
+    }
+    const imageModel = modelLookup.model;
+    const model = imageModel.id;
 
     if (!remixPrompt) {
-      return res.status(400).json({ error: "Missing remixPrompt.", requestId });
+      return { status: 400, body: { error: "Missing remixPrompt.", requestId } };
+    }
+
+    const frame = planFrameSize(imageModel, rawRatio || style.ratio);
+    if (!frame.ok) {
+      return { status: 400, body: { ...frame.body, requestId } };
+    }
+    const cropAnchor = parseCropAnchor(rawCropAnchor);
+    if (!cropAnchor) {
+      return { status: 400, body: { ...invalidCropAnchorBody(), requestId } };
+    }
+    const ratio = frame.ratio;
+    const [outputWidth, outputHeight] = frame.generatedSize.split("x").map(Number);
+
+    // Plan gate (remix is Creator and above in the default entitlements)
+    const entitlement = await checkEntitlement(userCtx, req, {
+      operation: "remix",
+      model,
+      width: outputWidth,
+      height: outputHeight,
+      requestId,
+    });
+    if (!entitlement.ok) {
+      return { status: entitlement.status, body: entitlement.body };
+    }
+
+    const sourceImage = await loadSourceImage(req, userCtx);
+    if (!sourceImage.ok) {
+      return {
+        status: 400,
+        body: {
+          error: sourceImage.code,
+          message: sourceImage.message,
+          requestId,
+        },
+      };
+    }
+
+    // A Library source brings its own description when the UI didn't send one
+    const basePrompt =
+      (rawBasePrompt || "").trim() || sourceImage.libraryItem?.prompt || "";
+    const remixMode = sourceImage.buffer ? "image" : "text";
+
+    // Image remixes are edits; text remixes are plain generations.
+    const remixFeature = remixMode === "image" ? "edit" : "generate";
+    if (!imageModel.features.includes(remixFeature)) {
+      return { status: 400, body: { ...modelFeatureError(imageModel, remixFeature).body, requestId } };
     }
 
     // Safety on combined text
     const combinedForSafety = [basePrompt, remixPrompt].filter(Boolean).join(" ");
-    const safety = runContentFilter(combinedForSafety);
+    const safety = await checkPromptSafety(combinedForSafety);
+    if (safety.unavailable) {
+      return moderationUnavailableResponse(safety, requestId);
+    }
     if (!safety.ok) {
       console.warn("⚠️ Blocked remix prompt by LMX safety rules.", {
         requestId,
@@ -734,17 +5929,37 @@ app.post("/lmx1/remix", async (req, res) => {
         plan: userCtx.plan,
         ip: clientIp || null,
         code: safety.code,
+        ruleVersion: safety.ruleVersion,
+        matched: safety.matched,
       });
 
-      return res.status(400).json({
-        error: "unsafe_content",
-        message: safety.message || "Prompt blocked by LMX safety rules.",
-        code: safety.code || "unsafe_content",
+      const strike = await recordBlockedPrompt(userCtx, req, {
+        safety,
+        prompt: combinedForSafety,
         requestId,
+        operation: "remix",
       });
+
+      return {
+        status: 400,
+        body: {
+          error: "unsafe_content",
+          message: safety.message || "Prompt blocked by LMX safety rules.",
+          code: safety.code || "unsafe_content",
+          ruleVersion: safety.ruleVersion || null,
+          strike: strike || undefined,
+          requestId,
+        },
+      };
     }
 
-    const creditCheck = await checkCredits(userCtx, req);
+    const creditCheck = await reserveOperationCredits(userCtx, req, {
+      requestId,
+      operation: "remix",
+      model,
+      width: outputWidth,
+      height: outputHeight,
+    });
     if (!creditCheck.ok) {
       console.warn("⛔ Credits check blocked remix", {
         requestId,
@@ -753,36 +5968,43 @@ app.post("/lmx1/remix", async (req, res) => {
         remaining: creditCheck.remaining ?? null,
       });
 
-      return res.status(402).json({
-        error: "no_credits",
-        message: creditCheck.message || "You are out of credits.",
-        code: creditCheck.code || "no_credits",
-        remaining: creditCheck.remaining ?? 0,
-        requestId,
-      });
-    }
-
-    // Style / ratio
-    let styleKeyRaw = (rawStyle || "").toString().trim();
-    let styleKey = styleKeyRaw.toLowerCase();
-    let resolvedStyle = "";
-    if (styleKey && STYLE_MAP[styleKey]) {
-      resolvedStyle = STYLE_MAP[styleKey];
-    } else if (styleKeyRaw) {
-      resolvedStyle = styleKeyRaw;
+      return {
+        status: 402,
+        body: {
+          error: "no_credits",
+          message: creditCheck.message || "You are out of credits.",
+          code: creditCheck.code || "no_credits",
+          remaining: creditCheck.remaining ?? 0,
+          requestId,
+        },
+      };
     }
 
-    const size = mapRatioToSize(ratio);
-
-    const magicPromptParts = [
-      "LMX Synthetic Designer remix frame.",
-      basePrompt
-        ? `Original frame description: ${basePrompt}.`
-        : "Original frame already exists in the user's library.",
-      resolvedStyle ? `Style: ${resolvedStyle}.` : "",
-      `Ratio hint: ${ratio}.`,
-      `Transform the existing image according to this instruction: ${remixPrompt}.`,
-    ];
+    // Image edits keep the source framing unless a ratio was asked for;
+    // everything else renders at the planned size and is cropped to the ratio.
+    const keepSourceFrame = remixMode === "image" && !ratioRequested;
+    const generatedSize = keepSourceFrame ? "auto" : frame.generatedSize;
+
+    const magicPromptParts =
+      remixMode === "image"
+        ? [
+            "LMX Synthetic Designer remix frame.",
+            basePrompt ? `The image shows: ${basePrompt}.` : "",
+            "Keep the original composition, framing, camera angle and subject placement.",
+            resolvedStyle ? `Style: ${resolvedStyle}.` : "",
+            `Apply this change: ${remixPrompt}.`,
+            style.negative ? `Avoid: ${style.negative}.` : "",
+          ]
+        : [
+            "LMX Synthetic Designer remix frame.",
+            basePrompt
+              ? `Original frame description: ${basePrompt}.`
+              : "Original frame already exists in the user's library.",
+            resolvedStyle ? `Style: ${resolvedStyle}.` : "",
+            `Ratio hint: ${ratio}.`,
+            `Transform the existing image according to this instruction: ${remixPrompt}.`,
+            style.negative ? `Avoid: ${style.negative}.` : "",
+          ];
 
     const magicPrompt = magicPromptParts.filter(Boolean).join(" ");
 
@@ -791,93 +6013,154 @@ app.post("/lmx1/remix", async (req, res) => {
       userId: userCtx.userId || "guest",
       plan: userCtx.plan,
       ip: clientIp || null,
-      size,
-      ratio,
+      generatedSize,
+      ratio: keepSourceFrame ? "source" : ratio,
       styleKey: styleKey || null,
       resolvedStyle: resolvedStyle || null,
       model,
+      remixMode,
+      source: sourceImage.source,
     });
 
-    const response = await client.images.generate({
-      model,
-      prompt: magicPrompt,
-      n: 1,
-      size,
-    });
+    onProgress("rendering", 25);
+    const provider = getImageProvider(imageModel);
+    const result =
+      remixMode === "image"
+        ? await provider.edit({
+            model: imageModel,
+            prompt: magicPrompt,
+            image: sourceImage.buffer,
+            mimeType: sourceImage.mimeType,
+            size: keepSourceFrame ? undefined : generatedSize,
+            signal,
+          })
+        : await provider.generate({
+            model: imageModel,
+            prompt: magicPrompt,
+            size: generatedSize,
+            signal,
+          });
+
+    if (!result.base64) {
+      console.error("❌ Remix: image provider returned no data:", { requestId, model, response: result.raw });
+      await releaseCredits(requestId, "no_image_data");
+      return { status: 500, body: { error: "no_image_data", requestId } };
+    }
 
-    if (
-      !response ||
-      !response.data ||
-      !response.data[0] ||
-      !response.data[0].b64_json
-    ) {
-      console.error("❌ Remix: OpenAI returned no data:", { requestId, response });
-      return res.status(500).json({ error: "no_image_data", requestId });
+    const rendered = Buffer.from(result.base64, "base64");
+    const output = keepSourceFrame ? rendered : await cropToFrame(rendered, frame, cropAnchor);
+    const base64 = output.toString("base64");
+    const delivered = keepSourceFrame ? await readImageSize(output) : frame;
+    const size = `${delivered.width}x${delivered.height}`;
+
+    signal?.throwIfAborted();
+    const screen = await screenOutputImage(output, {
+      req,
+      userCtx,
+      requestId,
+      operation: "remix",
+      prompt: combinedForSafety,
+    });
+    if (!screen.ok) {
+      return { status: screen.status, body: screen.body };
     }
 
-    const base64 = response.data[0].b64_json;
-    const imageUrl = `data:image/png;base64,${base64}`;
+    const stored = await storeOutputImage(`${requestId}.png`, output, req);
+    const imageUrl = stored.url;
 
+    onProgress("captioning", 70);
     const { caption, hashtags } = await buildCaptionAndTags({
       prompt: remixPrompt,
       magicPrompt,
     });
 
+    onProgress("saving", 90);
     await logGeneration(userCtx, {
       requestId,
+      operation: "remix",
       prompt: remixPrompt,
       basePrompt,
       magicPrompt,
       caption,
       hashtags,
       style: resolvedStyle || "Auto",
+      styleKey: styleKey || null,
+      stylePreset: style.preset,
       ratio,
       size,
       model,
       imageUrl,
+      mediaId: stored.mediaId,
       ip: clientIp || null,
       isRemix: true,
+      remixMode,
+      sourceRequestId: sourceImage.libraryItem?.requestId || null,
     });
 
-    return res.json({
-      base64,
-      imageUrl,
-      magicPrompt,
-      caption,
-      hashtags,
-      ratio,
-      size,
-      style: resolvedStyle || "Auto",
-      model,
-      requestId,
-      userId: userCtx.userId || null,
-      plan: userCtx.plan,
-      isRemix: true,
-    });
+    // Delivered: the reservation becomes a charge
+    await commitCredits(requestId);
+
+    return {
+      status: 200,
+      body: {
+        base64: wantsBase64(req) ? base64 : undefined,
+        imageUrl,
+        magicPrompt,
+        caption,
+        hashtags,
+        ratio: keepSourceFrame ? null : ratio,
+        generatedSize,
+        size,
+        width: delivered.width,
+        height: delivered.height,
+        cropAnchor: keepSourceFrame ? null : cropAnchor,
+        style: resolvedStyle || "Auto",
+        stylePreset: style.preset,   // { id, version, source } when a saved preset was used
+        model,
+        requestId,
+        userId: userCtx.userId || null,
+        plan: userCtx.plan,
+        isRemix: true,
+        remixMode,
+        sourceRequestId: sourceImage.libraryItem?.requestId || null,
+      },
+    };
   } catch (err) {
     console.error("🔥 /lmx1/remix error:", {
       requestId,
       error: err?.response?.data || err,
     });
 
+    await releaseCredits(requestId, "openai_error").catch((refundErr) => {
+      console.error("❌ releaseCredits error:", { requestId, refundErr });
+    });
+
     const status = err?.status || err?.response?.status || 500;
 
-    return res.status(status).json({
-      error: "server_error",
-      message: err?.message || "Unexpected error in LMX remix backend.",
-      requestId,
-    });
+    return {
+      status,
+      body: {
+        error: "server_error",
+        message: err?.message || "Unexpected error in LMX remix backend.",
+        requestId,
+      },
+    };
   }
-});
+}
+
+app.post("/lmx1/remix", rateLimit("remix"), acceptImageUpload, (req, res) =>
+  sendIdempotent(req, res, "remix", (requestId) => runRemix(req, { requestId }))
+);
 
 /* ============  UPSCALE ROUTE  ============ */
 
-app.post("/lmx1/upscale", async (req, res) => {
-  const requestId = makeRequestId();
+// Takes the actual frame (upload / imageBase64 / sourceRequestId) and returns
+// it at `scale` 2 or 4. Scale and output size are capped per plan (PLAN_ENTITLEMENTS).
+async function runUpscale(req, { requestId, onProgress = () => {}, signal } = {}) {
   const userCtx = getUserContext(req);
   const clientIp = getClientIp(req);
 
-  const banResult = checkBan(userCtx, req);
+  const banResult = await checkBan(userCtx, req);
   if (banResult.banned) {
     console.warn("⛔ Blocked banned user/ip (upscale)", {
       requestId,
@@ -887,55 +6170,155 @@ app.post("/lmx1/upscale", async (req, res) => {
       reason: banResult.reason,
     });
 
-    return res.status(403).json({
-      error: "banned",
-      message: "Your account or IP is blocked from using this service.",
-      code: banResult.reason,
-      requestId,
-    });
+    return {
+      status: 403,
+      body: {
+        error: "banned",
+        message: banResult.expiresAt
+          ? `Your account or IP is temporarily blocked until ${banResult.expiresAt}.`
+          : "Your account or IP is blocked from using this service.",
+        code: banResult.reason,
+        expiresAt: banResult.expiresAt || null,
+        requestId,
+      },
+    };
   }
 
   try {
     const {
-      basePrompt: rawBasePrompt,      // description of current frame
-      upscalePrompt: rawUpscalePrompt, // optional extra instruction
-      style: rawStyle,
+      basePrompt: rawBasePrompt,   // optional description, used for caption + Library search
+      scale: rawScale,
       ratio: rawRatio,
-      model: rawModel,
     } = req.body || {};
 
-    const basePrompt = (rawBasePrompt || "").trim();
-    const ratio = (rawRatio || "").trim() || "1:1";
-    const model = (rawModel || "").trim() || "gpt-image-1";
+    // Only a Library label here (the output keeps the source framing), but it
+    // is stored and echoed back, so it has to be a real ratio.
+    const parsedRatio = parseRatio(String(rawRatio ?? "").trim() || "1:1");
+    if (!parsedRatio) {
+      return { status: 400, body: { ...invalidRatioBody(), requestId } };
+    }
+    const ratio = parsedRatio.text;
+    const scale = Number(rawScale || 2);
 
-    const upscaleInstruction =
-      (rawUpscalePrompt || "").trim() ||
-      "Recreate this frame as a sharper, more detailed, high-resolution version while preserving composition and subject.";
+    if (!UPSCALE_FACTORS.includes(scale)) {
+      return {
+        status: 400,
+        body: {
+          error: "invalid_scale",
+          message: `scale must be one of: ${UPSCALE_FACTORS.join(", ")}`,
+          requestId,
+        },
+      };
+    }
 
-    if (!basePrompt) {
-      return res.status(400).json({ error: "Missing basePrompt for upscale.", requestId });
+    const entitlement = await checkEntitlement(userCtx, req, { operation: "upscale", requestId });
+    if (!entitlement.ok) {
+      return { status: entitlement.status, body: entitlement.body };
     }
 
-    const combinedForSafety = [basePrompt, upscaleInstruction].join(" ");
-    const safety = runContentFilter(combinedForSafety);
-    if (!safety.ok) {
-      console.warn("⚠️ Blocked upscale prompt by LMX safety rules.", {
-        requestId,
-        userId: userCtx.userId || "guest",
-        plan: userCtx.plan,
-        ip: clientIp || null,
-        code: safety.code,
-      });
+    const limits = entitlement.entitlements;
+    if (scale > limits.maxUpscaleFactor) {
+      return {
+        status: 403,
+        body: {
+          error: "plan_not_allowed",
+          message: `Your plan allows upscaling up to ${limits.maxUpscaleFactor}x.`,
+          code: "scale_not_allowed",
+          maxScale: limits.maxUpscaleFactor,
+          requiredPlan: lowestPlanWhere((e) => e.maxUpscaleFactor >= scale),
+          requestId,
+        },
+      };
+    }
 
-      return res.status(400).json({
-        error: "unsafe_content",
-        message: safety.message || "Prompt blocked by LMX safety rules.",
-        code: safety.code || "unsafe_content",
-        requestId,
-      });
+    const sourceImage = await loadSourceImage(req, userCtx);
+    if (!sourceImage.ok) {
+      return {
+        status: 400,
+        body: {
+          error: sourceImage.code,
+          message: sourceImage.message,
+          requestId,
+        },
+      };
+    }
+    if (!sourceImage.buffer) {
+      return {
+        status: 400,
+        body: {
+          error: "missing_source_image",
+          message: "Send the frame as an `image` upload, imageBase64 or sourceRequestId.",
+          requestId,
+        },
+      };
+    }
+
+    const source = await readImageSize(sourceImage.buffer);
+    const outputWidth = source.width * scale;
+    const outputHeight = source.height * scale;
+
+    if (Math.max(outputWidth, outputHeight) > limits.maxResolution) {
+      return {
+        status: 403,
+        body: {
+          error: "plan_not_allowed",
+          message: `Your plan allows outputs up to ${limits.maxResolution}px on the long side.`,
+          code: "output_too_large",
+          maxOutputSide: limits.maxResolution,
+          requiredPlan: lowestPlanWhere(
+            (e) => e.maxResolution >= Math.max(outputWidth, outputHeight)
+          ),
+          requestId,
+        },
+      };
     }
 
-    const creditCheck = await checkCredits(userCtx, req);
+    const basePrompt =
+      (rawBasePrompt || "").toString().trim() || sourceImage.libraryItem?.prompt || "";
+
+    if (basePrompt) {
+      const safety = await checkPromptSafety(basePrompt);
+      if (safety.unavailable) {
+        return moderationUnavailableResponse(safety, requestId);
+      }
+      if (!safety.ok) {
+        console.warn("⚠️ Blocked upscale prompt by LMX safety rules.", {
+          requestId,
+          userId: userCtx.userId || "guest",
+          plan: userCtx.plan,
+          ip: clientIp || null,
+          code: safety.code,
+          ruleVersion: safety.ruleVersion,
+          matched: safety.matched,
+        });
+
+        const strike = await recordBlockedPrompt(userCtx, req, {
+          safety,
+          prompt: basePrompt,
+          requestId,
+          operation: "upscale",
+        });
+
+        return {
+          status: 400,
+          body: {
+            error: "unsafe_content",
+            message: safety.message || "Prompt blocked by LMX safety rules.",
+            code: safety.code || "unsafe_content",
+            ruleVersion: safety.ruleVersion || null,
+            strike: strike || undefined,
+            requestId,
+          },
+        };
+      }
+    }
+
+    const creditCheck = await reserveOperationCredits(userCtx, req, {
+      requestId,
+      operation: "upscale",
+      width: outputWidth,
+      height: outputHeight,
+    });
     if (!creditCheck.ok) {
       console.warn("⛔ Credits check blocked upscale", {
         requestId,
@@ -944,129 +6327,149 @@ app.post("/lmx1/upscale", async (req, res) => {
         remaining: creditCheck.remaining ?? null,
       });
 
-      return res.status(402).json({
-        error: "no_credits",
-        message: creditCheck.message || "You are out of credits.",
-        code: creditCheck.code || "no_credits",
-        remaining: creditCheck.remaining ?? 0,
-        requestId,
-      });
-    }
-
-    let styleKeyRaw = (rawStyle || "").toString().trim();
-    let styleKey = styleKeyRaw.toLowerCase();
-    let resolvedStyle = "";
-    if (styleKey && STYLE_MAP[styleKey]) {
-      resolvedStyle = STYLE_MAP[styleKey];
-    } else if (styleKeyRaw) {
-      resolvedStyle = styleKeyRaw;
+      return {
+        status: 402,
+        body: {
+          error: "no_credits",
+          message: creditCheck.message || "You are out of credits.",
+          code: creditCheck.code || "no_credits",
+          remaining: creditCheck.remaining ?? 0,
+          requestId,
+        },
+      };
     }
 
-    const size = mapRatioToSize(ratio);
-
-    const magicPrompt = [
-      "LMX Synthetic Designer upscale pass.",
-      `Original frame description: ${basePrompt}.`,
-      resolvedStyle ? `Style: ${resolvedStyle}.` : "",
-      `Ratio hint: ${ratio}.`,
-      upscaleInstruction,
-      "Emphasize clean edges, fine details, high clarity, and subtle textures.",
-    ]
-      .filter(Boolean)
-      .join(" ");
+    const upscaler = getUpscaler();
 
     console.log("🔍  Upscaling image", {
       requestId,
       userId: userCtx.userId || "guest",
       plan: userCtx.plan,
       ip: clientIp || null,
-      size,
-      ratio,
-      styleKey: styleKey || null,
-      resolvedStyle: resolvedStyle || null,
-      model,
+      scale,
+      source: `${source.width}x${source.height}`,
+      output: `${outputWidth}x${outputHeight}`,
+      upscaler: upscaler.name,
     });
 
-    const response = await client.images.generate({
-      model,
-      prompt: magicPrompt,
-      n: 1,
-      size,
+    onProgress("rendering", 25);
+    const output = await upscaler.upscale(sourceImage.buffer, {
+      scale,
+      width: outputWidth,
+      height: outputHeight,
+      signal,
     });
 
-    if (
-      !response ||
-      !response.data ||
-      !response.data[0] ||
-      !response.data[0].b64_json
-    ) {
-      console.error("❌ Upscale: OpenAI returned no data:", { requestId, response });
-      return res.status(500).json({ error: "no_image_data", requestId });
+    // The local upscaler ignores `signal`; a cancel during the resize lands here.
+    signal?.throwIfAborted();
+    const screen = await screenOutputImage(output, {
+      req,
+      userCtx,
+      requestId,
+      operation: "upscale",
+      prompt: basePrompt,
+    });
+    if (!screen.ok) {
+      return { status: screen.status, body: screen.body };
     }
 
-    const base64 = response.data[0].b64_json;
-    const imageUrl = `data:image/png;base64,${base64}`;
+    const base64 = output.toString("base64");
+    const stored = await storeOutputImage(`${requestId}.png`, output, req);
+    const imageUrl = stored.url;
+    const size = `${outputWidth}x${outputHeight}`;
 
+    onProgress("captioning", 70);
     const { caption, hashtags } = await buildCaptionAndTags({
-      prompt: upscaleInstruction,
-      magicPrompt,
+      prompt: basePrompt,
+      magicPrompt: basePrompt,
     });
 
+    onProgress("saving", 90);
     await logGeneration(userCtx, {
       requestId,
-      prompt: upscaleInstruction,
+      operation: "upscale",
+      prompt: basePrompt,
       basePrompt,
-      magicPrompt,
-      caption,
-      hashtags,
-      style: resolvedStyle || "Auto",
-      ratio,
-      size,
-      model,
-      imageUrl,
-      ip: clientIp || null,
-      isUpscale: true,
-    });
-
-    return res.json({
-      base64,
-      imageUrl,
-      magicPrompt,
+      magicPrompt: "",
       caption,
       hashtags,
+      style: "Auto",
+      styleKey: null,
       ratio,
       size,
-      style: resolvedStyle || "Auto",
-      model,
-      requestId,
-      userId: userCtx.userId || null,
-      plan: userCtx.plan,
+      model: upscaler.name,
+      imageUrl,
+      mediaId: stored.mediaId,
+      sourceRequestId: sourceImage.libraryItem?.requestId || null,
+      ip: clientIp || null,
       isUpscale: true,
+      scale,
     });
+
+    // Delivered: the reservation becomes a charge
+    await commitCredits(requestId);
+
+    return {
+      status: 200,
+      body: {
+        base64: wantsBase64(req) ? base64 : undefined,
+        imageUrl,
+        caption,
+        hashtags,
+        ratio,
+        size,
+        scale,
+        sourceWidth: source.width,
+        sourceHeight: source.height,
+        width: outputWidth,
+        height: outputHeight,
+        upscaler: upscaler.name,
+        requestId,
+        userId: userCtx.userId || null,
+        plan: userCtx.plan,
+        isUpscale: true,
+        sourceRequestId: sourceImage.libraryItem?.requestId || null,
+      },
+    };
   } catch (err) {
     console.error("🔥 /lmx1/upscale error:", {
       requestId,
       error: err?.response?.data || err,
     });
 
+    await releaseCredits(requestId, "upscale_error").catch((refundErr) => {
+      console.error("❌ releaseCredits error:", { requestId, refundErr });
+    });
+
     const status = err?.status || err?.response?.status || 500;
 
-    return res.status(status).json({
-      error: "server_error",
-      message: err?.message || "Unexpected error in LMX upscale backend.",
-      requestId,
-    });
+    return {
+      status,
+      body: {
+        error: "server_error",
+        message: err?.message || "Unexpected error in LMX upscale backend.",
+        requestId,
+      },
+    };
   }
-});
+}
+
+app.post("/lmx1/upscale", rateLimit("upscale"), acceptImageUpload, (req, res) =>
+  sendIdempotent(req, res, "upscale", (requestId) => runUpscale(req, { requestId }))
+);
 
 /* ============  BACKGROUND REMOVAL ROUTE  ============ */
 
-app.post("/lmx1/remove-background", async (req, res) => {
-  const requestId = makeRequestId();
+// Takes the actual frame (upload / imageBase64 / sourceRequestId) and returns
+// the same subject with the background removed.
+// bgMode: "transparent" (default, alpha PNG) | "color" (bgColor, e.g. "#ffffff")
+//       | "replace" (upload `background` or send backgroundBase64)
+// Always returns maskUrl: a grayscale PNG, white = subject.
+async function runRemoveBackground(req, { requestId, onProgress = () => {}, signal } = {}) {
   const userCtx = getUserContext(req);
   const clientIp = getClientIp(req);
 
-  const banResult = checkBan(userCtx, req);
+  const banResult = await checkBan(userCtx, req);
   if (banResult.banned) {
     console.warn("⛔ Blocked banned user/ip (remove-background)", {
       requestId,
@@ -1076,55 +6479,168 @@ app.post("/lmx1/remove-background", async (req, res) => {
       reason: banResult.reason,
     });
 
-    return res.status(403).json({
-      error: "banned",
-      message: "Your account or IP is blocked from using this service.",
-      code: banResult.reason,
-      requestId,
-    });
+    return {
+      status: 403,
+      body: {
+        error: "banned",
+        message: banResult.expiresAt
+          ? `Your account or IP is temporarily blocked until ${banResult.expiresAt}.`
+          : "Your account or IP is blocked from using this service.",
+        code: banResult.reason,
+        expiresAt: banResult.expiresAt || null,
+        requestId,
+      },
+    };
   }
 
   try {
     const {
-      basePrompt: rawBasePrompt,        // description of current frame
-      bgInstruction: rawBgInstruction,  // optional, e.g. "pure white background"
-      style: rawStyle,
+      basePrompt: rawBasePrompt,   // optional description of the subject
+      bgMode: rawBgMode,
+      bgColor: rawBgColor,
       ratio: rawRatio,
       model: rawModel,
     } = req.body || {};
 
-    const basePrompt = (rawBasePrompt || "").trim();
-    const ratio = (rawRatio || "").trim() || "1:1";
-    const model = (rawModel || "").trim() || "gpt-image-1";
+    // JSON bodies can carry numbers or objects here; coerce before trimming.
+    const parsedRatio = parseRatio(String(rawRatio ?? "").trim() || "1:1");
+    const bgMode = String(rawBgMode ?? "").trim().toLowerCase() || "transparent";
+    const bgColor = String(rawBgColor ?? "").trim() || "#ffffff";
 
-    const bgInstruction =
-      (rawBgInstruction || "").trim() ||
-      "Remove the original background and place the main subject on a clean, simple background suitable for product or profile use.";
+    if (!parsedRatio) {
+      return { status: 400, body: { ...invalidRatioBody(), requestId } };
+    }
+    const ratio = parsedRatio.text;
 
-    if (!basePrompt) {
-      return res.status(400).json({ error: "Missing basePrompt for background removal.", requestId });
+    // The cut-out comes from a transparent-background edit
+    const modelLookup = resolveImageModel(rawModel, { feature: "transparent" });
+    if (!modelLookup.ok) {
+      return { status: 400, body: { ...modelLookup.body, requestId } };
     }
+    const imageModel = modelLookup.model;
+    const model = imageModel.id;
 
-    const combinedForSafety = [basePrompt, bgInstruction].join(" ");
-    const safety = runContentFilter(combinedForSafety);
-    if (!safety.ok) {
-      console.warn("⚠️ Blocked remove-background prompt by LMX safety rules.", {
-        requestId,
-        userId: userCtx.userId || "guest",
-        plan: userCtx.plan,
-        ip: clientIp || null,
-        code: safety.code,
-      });
+    if (!BACKGROUND_MODES.includes(bgMode)) {
+      return {
+        status: 400,
+        body: {
+          error: "invalid_bg_mode",
+          message: `bgMode must be one of: ${BACKGROUND_MODES.join(", ")}`,
+          requestId,
+        },
+      };
+    }
 
-      return res.status(400).json({
-        error: "unsafe_content",
-        message: safety.message || "Prompt blocked by LMX safety rules.",
-        code: safety.code || "unsafe_content",
-        requestId,
-      });
+    if (bgMode === "color" && !/^#?(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(bgColor)) {
+      return {
+        status: 400,
+        body: {
+          error: "invalid_bg_color",
+          message: "bgColor must be a hex color like #ffffff or #fff.",
+          requestId,
+        },
+      };
+    }
+
+    const sourceImage = await loadSourceImage(req, userCtx);
+    if (!sourceImage.ok) {
+      return {
+        status: 400,
+        body: {
+          error: sourceImage.code,
+          message: sourceImage.message,
+          requestId,
+        },
+      };
+    }
+    if (!sourceImage.buffer) {
+      return {
+        status: 400,
+        body: {
+          error: "missing_source_image",
+          message: "Send the frame as an `image` upload, imageBase64 or sourceRequestId.",
+          requestId,
+        },
+      };
+    }
+
+    // The cut-out keeps the source size, so the source is what the plan caps.
+    const source = await readImageSize(sourceImage.buffer);
+    const entitlement = await checkEntitlement(userCtx, req, {
+      operation: "remove-background",
+      model,
+      width: source.width,
+      height: source.height,
+      requestId,
+    });
+    if (!entitlement.ok) {
+      return { status: entitlement.status, body: entitlement.body };
+    }
+
+    let replacementBackground = null;
+    if (bgMode === "replace") {
+      replacementBackground =
+        req.files?.background?.[0]?.buffer ||
+        decodeImageDataUrl(req.body?.backgroundBase64);
+      if (!replacementBackground || !sniffImageType(replacementBackground)) {
+        return {
+          status: 400,
+          body: {
+            error: "missing_background_image",
+            message: "bgMode \"replace\" needs a PNG, JPEG or WebP `background` upload or backgroundBase64.",
+            requestId,
+          },
+        };
+      }
+    }
+
+    const basePrompt =
+      (rawBasePrompt || "").trim() || sourceImage.libraryItem?.prompt || "";
+
+    if (basePrompt) {
+      const safety = await checkPromptSafety(basePrompt);
+      if (safety.unavailable) {
+        return moderationUnavailableResponse(safety, requestId);
+      }
+      if (!safety.ok) {
+        console.warn("⚠️ Blocked remove-background prompt by LMX safety rules.", {
+          requestId,
+          userId: userCtx.userId || "guest",
+          plan: userCtx.plan,
+          ip: clientIp || null,
+          code: safety.code,
+          ruleVersion: safety.ruleVersion,
+          matched: safety.matched,
+        });
+
+        const strike = await recordBlockedPrompt(userCtx, req, {
+          safety,
+          prompt: basePrompt,
+          requestId,
+          operation: "remove-background",
+        });
+
+        return {
+          status: 400,
+          body: {
+            error: "unsafe_content",
+            message: safety.message || "Prompt blocked by LMX safety rules.",
+            code: safety.code || "unsafe_content",
+            ruleVersion: safety.ruleVersion || null,
+            strike: strike || undefined,
+            requestId,
+          },
+        };
+      }
     }
 
-    const creditCheck = await checkCredits(userCtx, req);
+    const creditCheck = await reserveOperationCredits(userCtx, req, {
+      requestId,
+      operation: "remove-background",
+      model,
+      width: source.width,
+      height: source.height,
+    });
     if (!creditCheck.ok) {
       console.warn("⛔ Credits check blocked remove-background", {
         requestId,
@@ -1133,33 +6649,23 @@ app.post("/lmx1/remove-background", async (req, res) => {
         remaining: creditCheck.remaining ?? null,
       });
 
-      return res.status(402).json({
-        error: "no_credits",
-        message: creditCheck.message || "You are out of credits.",
-        code: creditCheck.code || "no_credits",
-        remaining: creditCheck.remaining ?? 0,
-        requestId,
-      });
-    }
-
-    let styleKeyRaw = (rawStyle || "").toString().trim();
-    let styleKey = styleKeyRaw.toLowerCase();
-    let resolvedStyle = "";
-    if (styleKey && STYLE_MAP[styleKey]) {
-      resolvedStyle = STYLE_MAP[styleKey];
-    } else if (styleKeyRaw) {
-      resolvedStyle = styleKeyRaw;
+      return {
+        status: 402,
+        body: {
+          error: "no_credits",
+          message: creditCheck.message || "You are out of credits.",
+          code: creditCheck.code || "no_credits",
+          remaining: creditCheck.remaining ?? 0,
+          requestId,
+        },
+      };
     }
 
-    const size = mapRatioToSize(ratio);
-
     const magicPrompt = [
       "LMX Synthetic Designer background cleanup pass.",
-      `Original frame description: ${basePrompt}.`,
-      resolvedStyle ? `Style: ${resolvedStyle}.` : "",
-      `Ratio hint: ${ratio}.`,
-      bgInstruction,
-      "Preserve the main subject cleanly and avoid halos or artifacts around the edges.",
+      basePrompt ? `The image shows: ${basePrompt}.` : "",
+      "Cut out the main subject exactly as it is and make everything else fully transparent.",
+      "Do not change, move or restyle the subject. Clean edges, no halos or artifacts.",
     ]
       .filter(Boolean)
       .join(" ");
@@ -1169,91 +6675,558 @@ app.post("/lmx1/remove-background", async (req, res) => {
       userId: userCtx.userId || "guest",
       plan: userCtx.plan,
       ip: clientIp || null,
-      size,
-      ratio,
-      styleKey: styleKey || null,
-      resolvedStyle: resolvedStyle || null,
+      bgMode,
       model,
+      source: sourceImage.source,
     });
 
-    const response = await client.images.generate({
-      model,
+    onProgress("rendering", 25);
+    const letterbox = await letterboxForModel(sourceImage.buffer, imageModel);
+    const result = await getImageProvider(imageModel).edit({
+      model: imageModel,
       prompt: magicPrompt,
-      n: 1,
-      size,
+      image: letterbox.image,
+      mimeType: "image/png",
+      size: letterbox.size,
+      transparent: true,
+      signal,
     });
 
-    if (
-      !response ||
-      !response.data ||
-      !response.data[0] ||
-      !response.data[0].b64_json
-    ) {
-      console.error("❌ Remove-background: OpenAI returned no data:", {
+    if (!result.base64) {
+      console.error("❌ Remove-background: image provider returned no data:", {
         requestId,
-        response,
+        model,
+        response: result.raw,
       });
-      return res.status(500).json({ error: "no_image_data", requestId });
+      await releaseCredits(requestId, "no_image_data");
+      return { status: 500, body: { error: "no_image_data", requestId } };
+    }
+
+    // Only the model's alpha is used; the pixels stay the original ones.
+    const cutout = await cutOutSubject(sourceImage.buffer, Buffer.from(result.base64, "base64"), letterbox);
+    if (!cutout.ok) {
+      console.warn("⚠️ Remove-background: model returned no cut-out", { requestId, model });
+      await releaseCredits(requestId, "no_cutout");
+      return {
+        status: 422,
+        body: {
+          error: "no_cutout",
+          message: "No background could be removed from this image. No credits were charged.",
+          code: "no_cutout",
+          requestId,
+        },
+      };
     }
 
-    const base64 = response.data[0].b64_json;
-    const imageUrl = `data:image/png;base64,${base64}`;
+    let output = cutout.subject;
+    if (bgMode === "color") {
+      output = await flattenOnColor(cutout.subject, bgColor);
+    } else if (bgMode === "replace") {
+      output = await compositeOnBackground(cutout, replacementBackground);
+    }
+
+    signal?.throwIfAborted();
+    const screen = await screenOutputImage(output, {
+      req,
+      userCtx,
+      requestId,
+      operation: "remove-background",
+      prompt: basePrompt,
+    });
+    if (!screen.ok) {
+      return { status: screen.status, body: screen.body };
+    }
+
+    const base64 = output.toString("base64");
+    const stored = await storeOutputImage(`${requestId}.png`, output, req);
+    const imageUrl = stored.url;
+    const maskBase64 = cutout.mask.toString("base64");
+    const storedMask = await storeOutputImage(`${requestId}_mask.png`, cutout.mask, req);
+    const size = `${cutout.width}x${cutout.height}`;
 
+    onProgress("captioning", 70);
     const { caption, hashtags } = await buildCaptionAndTags({
-      prompt: bgInstruction,
-      magicPrompt,
+      prompt: basePrompt,
+      magicPrompt: basePrompt,
     });
 
+    onProgress("saving", 90);
     await logGeneration(userCtx, {
       requestId,
-      prompt: bgInstruction,
+      operation: "remove-background",
+      prompt: basePrompt,
       basePrompt,
       magicPrompt,
       caption,
       hashtags,
-      style: resolvedStyle || "Auto",
+      style: "Auto",
+      styleKey: null,
       ratio,
       size,
       model,
       imageUrl,
+      mediaId: stored.mediaId,
+      maskMediaId: storedMask.mediaId,
+      sourceRequestId: sourceImage.libraryItem?.requestId || null,
       ip: clientIp || null,
       isBackgroundRemoval: true,
+      bgMode,
     });
 
-    return res.json({
-      base64,
-      imageUrl,
-      magicPrompt,
-      caption,
-      hashtags,
-      ratio,
-      size,
-      style: resolvedStyle || "Auto",
-      model,
-      requestId,
-      userId: userCtx.userId || null,
-      plan: userCtx.plan,
-      isBackgroundRemoval: true,
-    });
+    // Delivered: the reservation becomes a charge
+    await commitCredits(requestId);
+
+    return {
+      status: 200,
+      body: {
+        base64: wantsBase64(req) ? base64 : undefined,
+        imageUrl,
+        maskBase64: wantsBase64(req) ? maskBase64 : undefined,
+        maskUrl: storedMask.url,
+        bgMode,
+        bgColor: bgMode === "color" ? bgColor : null,
+        width: cutout.width,
+        height: cutout.height,
+        magicPrompt,
+        caption,
+        hashtags,
+        ratio,
+        size,
+        style: "Auto",
+        model,
+        requestId,
+        userId: userCtx.userId || null,
+        plan: userCtx.plan,
+        isBackgroundRemoval: true,
+        sourceRequestId: sourceImage.libraryItem?.requestId || null,
+      },
+    };
   } catch (err) {
     console.error("🔥 /lmx1/remove-background error:", {
       requestId,
       error: err?.response?.data || err,
     });
 
+    await releaseCredits(requestId, "openai_error").catch((refundErr) => {
+      console.error("❌ releaseCredits error:", { requestId, refundErr });
+    });
+
     const status = err?.status || err?.response?.status || 500;
 
-    return res.status(status).json({
-      error: "server_error",
-      message: err?.message || "Unexpected error in LMX background removal backend.",
-      requestId,
+    return {
+      status,
+      body: {
+        error: "server_error",
+        message: err?.message || "Unexpected error in LMX background removal backend.",
+        requestId,
+      },
+    };
+  }
+}
+
+app.post("/lmx1/remove-background", rateLimit("remove-background"), acceptImageUpload, (req, res) =>
+  sendIdempotent(req, res, "remove-background", (requestId) => runRemoveBackground(req, { requestId }))
+);
+
+/* ============  ASYNC JOBS  ============ */
+
+// POST /lmx1/jobs answers right away with a jobId; the operation then runs in
+// an in-process queue. Poll GET /lmx1/jobs/:id or stream GET /lmx1/jobs/:id/events.
+// LMX_JOB_CONCURRENCY = operations running at once (default 2)
+// LMX_JOB_TTL_MINUTES = how long finished jobs stay queryable (default 60)
+// LMX_JOBS_MAX_QUEUED_PER_OWNER = unfinished jobs one user / guest IP may have (default 5)
+// LMX_JOBS_MAX_QUEUED = jobs waiting in the queue across everyone (default 200)
+// LMX_JOBS_MAX_QUEUED_MB = uploaded images held in memory by unfinished jobs,
+//   across everyone (default 256). Each job keeps its upload until it finishes.
+const JOB_CONCURRENCY = Math.max(Number(process.env.LMX_JOB_CONCURRENCY) || 2, 1);
+const JOB_TTL_MS = (Number(process.env.LMX_JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const JOBS_MAX_QUEUED_PER_OWNER = Math.max(Number(process.env.LMX_JOBS_MAX_QUEUED_PER_OWNER) || 5, 1);
+const JOBS_MAX_QUEUED = Math.max(Number(process.env.LMX_JOBS_MAX_QUEUED) || 200, 1);
+const JOBS_MAX_QUEUED_BYTES = (Number(process.env.LMX_JOBS_MAX_QUEUED_MB) || 256) * 1024 * 1024;
+const JOB_TERMINAL_STATUSES = ["succeeded", "failed", "cancelled"];
+
+const JOB_OPERATIONS = {
+  generate: runGenerateOrBatch,
+  remix: runRemix,
+  upscale: runUpscale,
+  "remove-background": runRemoveBackground,
+};
+
+const jobs = new Map();
+const jobQueue = [];
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+let runningJobs = 0;
+let heldJobBytes = 0;
+
+// Upload bytes a job's request snapshot keeps alive: multipart files plus
+// base64 images in the JSON body (counted as sent, before decoding).
+function jobUploadBytes(req) {
+  let bytes = 0;
+  for (const file of Object.values(req.files || {}).flat()) {
+    bytes += file?.buffer?.length || 0;
+  }
+  for (const field of ["imageBase64", "backgroundBase64"]) {
+    if (typeof req.body?.[field] === "string") bytes += req.body[field].length;
+  }
+  return bytes;
+}
+
+// Copy of what the operations read from a request, so a job can still run
+// after the HTTP exchange that created it is gone.
+function snapshotRequest(req) {
+  const headers = { ...req.headers };
+  return {
+    headers,
+    body: req.body,
+    files: req.files,
+    query: { ...req.query },
+    protocol: req.protocol,
+    ip: req.ip,
+    lmxUser: req.lmxUser,
+    socket: { remoteAddress: req.socket?.remoteAddress || null },
+    get(name) {
+      return headers[name.toLowerCase()];
+    },
+  };
+}
+
+function publicJob(job) {
+  const { controller, req, ...rest } = job;
+  return rest;
+}
+
+function emitJobUpdate(job, type) {
+  job.updatedAt = new Date().toISOString();
+  jobEvents.emit(job.jobId, { type, job: publicJob(job) });
+}
+
+function finishJob(job, status, { result = null, error = null, httpStatus = null } = {}) {
+  job.status = status;
+  job.result = result;
+  job.error = error;
+  job.httpStatus = httpStatus;
+  job.finishedAt = new Date().toISOString();
+  job.req = null;
+  job.controller = null;
+  heldJobBytes -= job.uploadBytes;
+  job.uploadBytes = 0;
+  emitJobUpdate(job, status);
+}
+
+async function runJob(job) {
+  runningJobs += 1;
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+  emitJobUpdate(job, "running");
+
+  try {
+    const { status, body } = await JOB_OPERATIONS[job.operation](job.req, {
+      requestId: job.requestId,
+      signal: job.controller.signal,
+      onProgress: (stage, percent) => {
+        job.progress = { stage, percent };
+        emitJobUpdate(job, "progress");
+      },
+    });
+
+    // A cancel that lands after the frame is done does not throw it away.
+    if (status >= 200 && status < 300) {
+      job.progress = { stage: "done", percent: 100 };
+      finishJob(job, "succeeded", { result: body, httpStatus: status });
+    } else if (job.controller.signal.aborted) {
+      finishJob(job, "cancelled");
+    } else {
+      finishJob(job, "failed", { error: body, httpStatus: status });
+    }
+  } catch (err) {
+    console.error("🔥 job error:", { jobId: job.jobId, error: err?.message || err });
+    finishJob(job, "failed", {
+      error: { error: "server_error", message: err?.message || "Job failed." },
+      httpStatus: 500,
+    });
+  } finally {
+    runningJobs -= 1;
+    drainJobQueue();
+  }
+}
+
+function drainJobQueue() {
+  while (runningJobs < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    runJob(job);
+  }
+}
+
+function cancelJob(job) {
+  if (JOB_TERMINAL_STATUSES.includes(job.status)) return false;
+
+  const queuedAt = jobQueue.indexOf(job);
+  if (queuedAt !== -1) {
+    jobQueue.splice(queuedAt, 1);
+    finishJob(job, "cancelled");
+    return true;
+  }
+
+  // Running: abort the provider call; runJob records the cancellation
+  // and the operation's own error path releases the reserved credits.
+  // Work that ignores the signal (local sharp) is stopped before it is saved.
+  job.controller.abort();
+  return true;
+}
+
+// Cheapest price the job can cost; a batch pays for every frame.
+function minimumJobCost(operation, body) {
+  const frames = operation === "generate" ? estimateFrameCount(body) : 1;
+  return priceFor({ operation, frames }).total;
+}
+
+// Queue limits and the balance are checked before a job is accepted, so a
+// caller can't park work they can't pay for. Returns { status, body } or null.
+// Everything after the balance read is synchronous, so the caller can add the
+// job before another submit gets to count.
+async function checkJobAdmission(ownerId, { cost, uploadBytes }, requestId) {
+  const balance = await getCreditBalance(ownerId);
+
+  const unfinished = [...jobs.values()].filter(
+    (job) => job.ownerId === ownerId && !JOB_TERMINAL_STATUSES.includes(job.status)
+  );
+  if (unfinished.length >= JOBS_MAX_QUEUED_PER_OWNER) {
+    return {
+      status: 429,
+      body: {
+        error: "too_many_jobs",
+        message: `You already have ${unfinished.length} unfinished jobs. Wait for one to finish.`,
+        code: "too_many_jobs",
+        requestId,
+      },
+    };
+  }
+
+  if (jobQueue.length >= JOBS_MAX_QUEUED) {
+    return {
+      status: 503,
+      body: {
+        error: "queue_full",
+        message: "The job queue is full. Try again shortly.",
+        code: "queue_full",
+        requestId,
+      },
+    };
+  }
+
+  if (heldJobBytes + uploadBytes > JOBS_MAX_QUEUED_BYTES) {
+    return {
+      status: 503,
+      body: {
+        error: "queue_full",
+        message: "The job queue is holding too many uploads. Try again shortly.",
+        code: "queue_bytes_full",
+        requestId,
+      },
+    };
+  }
+
+  // Queued jobs have not reserved anything yet, so count them against the balance too.
+  const pending = unfinished
+    .filter((job) => job.status === "queued")
+    .reduce((sum, job) => sum + job.minimumCost, 0);
+  if (balance - pending < cost) {
+    return {
+      status: 402,
+      body: {
+        error: "no_credits",
+        message: "You are out of credits.",
+        code: "no_credits",
+        remaining: balance,
+        requestId,
+      },
+    };
+  }
+
+  return null;
+}
+
+// Jobs are only visible to whoever created them (user id, or guest IP).
+function getOwnedJob(req) {
+  const job = jobs.get(req.params.jobId);
+  if (!job) return null;
+  const ownerId = getLedgerAccountId(getUserContext(req), getClientIp(req));
+  return job.ownerId === ownerId ? job : null;
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [jobId, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(jobId);
+    }
+  }
+}, 5 * 60 * 1000).unref();
+
+// Body: { operation: "generate" | "remix" | "upscale" | "remove-background", ...same fields as the route }
+// Multipart uploads work the same way as on the synchronous routes.
+app.post(
+  "/lmx1/jobs",
+  acceptImageUpload,
+  rateLimit((req) => (req.body?.operation || "").toString().trim()),
+  (req, res) => {
+    const operation = (req.body?.operation || "").toString().trim();
+    if (!JOB_OPERATIONS[operation]) {
+      return res.status(400).json({
+        error: "invalid_operation",
+        message: `operation must be one of: ${Object.keys(JOB_OPERATIONS).join(", ")}`,
+      });
+    }
+
+    // A retried submit with the same Idempotency-Key gets the same jobId back.
+    return sendIdempotent(req, res, `job:${operation}`, async (requestId) => {
+      const userCtx = getUserContext(req);
+      const ownerId = getLedgerAccountId(userCtx, getClientIp(req));
+      const minimumCost = minimumJobCost(operation, req.body);
+      const uploadBytes = jobUploadBytes(req);
+      const refused = await checkJobAdmission(ownerId, { cost: minimumCost, uploadBytes }, requestId);
+      if (refused) {
+        console.warn("⛔ Job refused", { requestId, ownerId, operation, reason: refused.body.code });
+        return refused;
+      }
+
+      const now = new Date().toISOString();
+      const job = {
+        jobId: `job_${crypto.randomBytes(9).toString("base64url")}`,
+        requestId,
+        operation,
+        ownerId,
+        minimumCost,
+        uploadBytes,
+        status: "queued",
+        progress: { stage: "queued", percent: 0 },
+        result: null,
+        error: null,
+        httpStatus: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        req: snapshotRequest(req),
+        controller: new AbortController(),
+      };
+
+      jobs.set(job.jobId, job);
+      jobQueue.push(job);
+      heldJobBytes += uploadBytes;
+      drainJobQueue();
+
+      return {
+        status: 202,
+        body: {
+          ...publicJob(job),
+          statusUrl: `/lmx1/jobs/${job.jobId}`,
+          eventsUrl: `/lmx1/jobs/${job.jobId}/events`,
+        },
+      };
+    });
+  }
+);
+
+app.get("/lmx1/jobs/:jobId", (req, res) => {
+  const job = getOwnedJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "job_not_found" });
+  }
+  return res.json(publicJob(job));
+});
+
+// Server-Sent Events: a "snapshot" first, then running / progress / succeeded /
+// failed / cancelled. The stream closes once the job is finished.
+app.get("/lmx1/jobs/:jobId/events", (req, res) => {
+  const job = getOwnedJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "job_not_found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (type, payload) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  send("snapshot", publicJob(job));
+  if (JOB_TERMINAL_STATUSES.includes(job.status)) {
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle stream.
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+  const onUpdate = ({ type, job: snapshot }) => {
+    send(type, snapshot);
+    if (JOB_TERMINAL_STATUSES.includes(snapshot.status)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    jobEvents.off(job.jobId, onUpdate);
+  };
+
+  jobEvents.on(job.jobId, onUpdate);
+  req.on("close", cleanup);
+});
+
+app.delete("/lmx1/jobs/:jobId", (req, res) => {
+  const job = getOwnedJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "job_not_found" });
+  }
+
+  if (!cancelJob(job)) {
+    return res.status(409).json({
+      error: "job_finished",
+      message: `Job already ${job.status}.`,
+      status: job.status,
     });
   }
+
+  return res.json(publicJob(job));
 });
 
 /* ============  START SERVER  ============ */
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 LMX Synthetic Designer backend running on port ${PORT}`);
-});
\ No newline at end of file
+// Listens when run directly; tests require the file and start `app` on a free port.
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`🚀 LMX Synthetic Designer backend running on port ${PORT}`);
+  });
+
+  // Exit through process.exit so file stores write pending changes.
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => process.exit(0));
+  }
+}
+
+module.exports = {
+  app,
+  stripeEvents,
+  sharesStore,
+  sendIdempotent,
+  planFrameSize,
+  cropToFrame,
+  letterboxForModel,
+  getCreditBalance,
+  getUserAccount,
+  runContentFilter,
+  reserveCredits,
+  commitCredits,
+  releaseCredits,
+  listCreditTransactions,
+};
\ No newline at end of file
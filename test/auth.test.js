@@ -0,0 +1,62 @@
+// JWT verification: malformed headers and missing expiry are 401s, not 500s.
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function signHs256(header, claims) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `${input}.${signature}`;
+}
+
+async function creditsWith(token) {
+  const res = await fetch(`${baseUrl}/lmx1/credits`, { headers: { authorization: `Bearer ${token}` } });
+  return { status: res.status, body: await res.json() };
+}
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test("accepts a signed token with an expiry", async () => {
+  const res = await creditsWith(signHs256({ alg: "HS256", typ: "JWT" }, { sub: "user_1", exp: inOneHour() }));
+  assert.equal(res.status, 200);
+});
+
+test("rejects a token without exp", async () => {
+  const res = await creditsWith(signHs256({ alg: "HS256", typ: "JWT" }, { sub: "user_1" }));
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "missing_expiry");
+});
+
+test("rejects an expired token", async () => {
+  const res = await creditsWith(signHs256({ alg: "HS256" }, { sub: "user_1", exp: 1000 }));
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "token_expired");
+});
+
+test("a header or claims set that decodes to null is a 401", async () => {
+  const nullHeader = signHs256(null, { sub: "user_1", exp: inOneHour() });
+  assert.equal((await creditsWith(nullHeader)).status, 401);
+
+  const nullClaims = signHs256({ alg: "HS256" }, null);
+  const res = await creditsWith(nullClaims);
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "malformed_token");
+});
@@ -0,0 +1,134 @@
+// Runtime bans through /admin/bans: user, IPv4 / IPv6 address and CIDR
+// matching, expiry, revoke and the audit trail. Client addresses come from
+// X-Forwarded-For, which is trusted from loopback here.
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.LMX_ADMIN_TOKEN = "admin-fixture-token";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.LMX_TRUST_PROXY = "loopback";
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+const adminHeaders = { "content-type": "application/json", "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN };
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+async function ban(fields) {
+  const res = await fetch(`${baseUrl}/admin/bans`, { method: "POST", headers: adminHeaders, body: JSON.stringify(fields) });
+  return { status: res.status, body: await res.json() };
+}
+
+// An empty generate: 403 when banned, otherwise a 400 for the missing prompt.
+async function isBanned({ ip = "198.51.100.1", user } = {}) {
+  const headers = { "content-type": "application/json", "x-forwarded-for": ip };
+  if (user) headers.authorization = bearerFor(user);
+  const res = await fetch(`${baseUrl}/lmx1/generate`, { method: "POST", headers, body: "{}" });
+  const body = await res.json();
+  if (res.status === 403) {
+    assert.equal(body.error, "banned");
+    return true;
+  }
+  assert.equal(res.status, 400);
+  return false;
+}
+
+test("an IPv4 CIDR ban covers its range and nothing else", async () => {
+  const res = await ban({ type: "cidr", value: "203.0.113.0/24", reason: "abuse" });
+  assert.equal(res.status, 201);
+
+  assert.equal(await isBanned({ ip: "203.0.113.7" }), true);
+  assert.equal(await isBanned({ ip: "203.0.113.255" }), true);
+  assert.equal(await isBanned({ ip: "203.0.114.1" }), false);
+});
+
+test("an IPv6 CIDR ban covers its prefix; an exact IPv6 ban only that address", async () => {
+  assert.equal((await ban({ type: "cidr", value: "2001:db8:abcd::/48" })).status, 201);
+  assert.equal(await isBanned({ ip: "2001:db8:abcd:12::5" }), true);
+  assert.equal(await isBanned({ ip: "2001:db8:abce::5" }), false);
+
+  assert.equal((await ban({ type: "ip", value: "2001:db8:ffff::1" })).status, 201);
+  assert.equal(await isBanned({ ip: "2001:db8:ffff::1" }), true);
+  assert.equal(await isBanned({ ip: "2001:db8:ffff::2" }), false);
+});
+
+test("an IPv4-mapped address is matched as plain IPv4", async () => {
+  assert.equal((await ban({ type: "ip", value: "::ffff:192.0.2.44" })).body.value, "192.0.2.44");
+  assert.equal(await isBanned({ ip: "192.0.2.44" }), true);
+});
+
+test("a user ban follows the user to any address", async () => {
+  assert.equal((await ban({ type: "user", value: "user_banned" })).status, 201);
+  assert.equal(await isBanned({ user: "user_banned", ip: "198.51.100.20" }), true);
+  assert.equal(await isBanned({ user: "user_fine", ip: "198.51.100.20" }), false);
+});
+
+test("malformed bans are refused", async () => {
+  assert.equal((await ban({ type: "cidr", value: "10.0.0.0/33" })).body.code, "invalid_cidr");
+  assert.equal((await ban({ type: "cidr", value: "2001:db8::/129" })).body.code, "invalid_cidr");
+  assert.equal((await ban({ type: "ip", value: "10.0.0" })).body.code, "invalid_ip");
+  assert.equal((await ban({ type: "subnet", value: "10.0.0.0/8" })).body.code, "invalid_ban_type");
+  assert.equal((await ban({ type: "ip", value: "10.0.0.1", expiresAt: "tomorrow" })).body.code, "invalid_expiry");
+});
+
+test("an expired ban no longer applies and is hidden from the active list", async () => {
+  const res = await ban({ type: "ip", value: "198.51.100.30", expiresAt: new Date(Date.now() - 1000).toISOString() });
+  assert.equal(res.status, 201);
+  assert.equal(await isBanned({ ip: "198.51.100.30" }), false);
+
+  const active = await (await fetch(`${baseUrl}/admin/bans?active=1`, { headers: adminHeaders })).json();
+  assert.equal(active.bans.some((b) => b.id === res.body.id), false);
+});
+
+test("a timed ban reports its expiry to the banned client", async () => {
+  await ban({ type: "ip", value: "198.51.100.40", durationSeconds: 3600 });
+  const res = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "x-forwarded-for": "198.51.100.40" },
+    body: "{}",
+  });
+  const body = await res.json();
+  assert.equal(res.status, 403);
+  assert.ok(Date.parse(body.expiresAt) > Date.now());
+});
+
+test("revoking a ban lifts it and is recorded in the audit trail", async () => {
+  const created = await ban({ type: "ip", value: "198.51.100.50" });
+  assert.equal(await isBanned({ ip: "198.51.100.50" }), true);
+
+  const revoked = await fetch(`${baseUrl}/admin/bans/${created.body.id}`, {
+    method: "DELETE",
+    headers: adminHeaders,
+    body: JSON.stringify({ reason: "appeal accepted" }),
+  });
+  assert.equal(revoked.status, 200);
+  assert.ok((await revoked.json()).revokedAt);
+  assert.equal(await isBanned({ ip: "198.51.100.50" }), false);
+
+  const audit = await (await fetch(`${baseUrl}/admin/bans/audit?banId=${created.body.id}`, { headers: adminHeaders })).json();
+  assert.deepEqual(audit.entries.map((entry) => entry.action).sort(), ["ban", "unban"]);
+
+  const missing = await fetch(`${baseUrl}/admin/bans/ban_missing`, { method: "DELETE", headers: adminHeaders });
+  assert.equal(missing.status, 404);
+});
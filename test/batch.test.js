@@ -0,0 +1,77 @@
+// Batches (variations / styleSweep): one daily-cap check for every frame,
+// one charge per delivered frame.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_STARTER_CREDITS = "10";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_PLAN_ENTITLEMENTS_JSON = JSON.stringify({
+  free: { maxBatch: 3, dailyCaps: { generate: 4 } },
+});
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+async function generate(body) {
+  const res = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function balance() {
+  return (await (await fetch(`${baseUrl}/lmx1/credits`)).json()).balance;
+}
+
+test("a batch renders and charges every frame", async () => {
+  const res = await generate({ prompt: "a row of paper lanterns", variations: 3 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 3);
+  assert.equal(res.body.succeeded, 3);
+  assert.equal(await balance(), 7);
+});
+
+test("a batch that would pass the daily cap is refused before any frame renders", async () => {
+  // 3 of 4 runs used above: a 2-frame batch does not fit.
+  const res = await generate({ prompt: "a pair of herons", variations: 2 });
+  assert.equal(res.status, 429);
+  assert.equal(res.body.code, "daily_cap_reached");
+  assert.equal(res.body.remainingToday, 1);
+  assert.equal(await balance(), 7);
+
+  const single = await generate({ prompt: "one heron" });
+  assert.equal(single.status, 200);
+});
+
+test("a batch larger than the plan allows is refused", async () => {
+  const res = await generate({ prompt: "a flock of birds", variations: 4 });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "batch_too_large");
+  assert.equal(res.body.maxBatch, 3);
+});
@@ -0,0 +1,40 @@
+// Prompt content filter: normalization, leetspeak and punctuation at word edges.
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runContentFilter } = require("../LMX_AI_Generator_final_server");
+
+const blocked = (prompt) => !runContentFilter(prompt).ok;
+
+test("blocks listed phrases", () => {
+  assert.ok(blocked("teen porn"));
+  assert.ok(blocked("rape"));
+  assert.ok(blocked("loli porn"));
+});
+
+test("trailing punctuation does not hide a phrase", () => {
+  assert.ok(blocked("teen porn!"));
+  assert.ok(blocked("rape!"));
+  assert.ok(blocked("loli porn$"));
+  assert.ok(blocked("rape|||"));
+  assert.ok(blocked("!rape"));
+  assert.ok(blocked("a scene of rape+ in a field"));
+});
+
+test("leetspeak, spacing and look-alike letters are still decoded", () => {
+  assert.ok(blocked("r4pe"));
+  assert.ok(blocked("teen s3x"));
+  assert.ok(blocked("teen $ex"));
+  assert.ok(blocked("r a p e"));
+  assert.ok(blocked("rаpe"));
+});
+
+test("ordinary prompts pass", () => {
+  assert.ok(!blocked("a grape vineyard at sunset!"));
+  assert.ok(!blocked("rape seed oil field in spring"));
+  assert.ok(!blocked("portrait of a cat, 35mm film!"));
+  assert.ok(!blocked("price tag: $5"));
+});
@@ -0,0 +1,115 @@
+// Credit ledger: starter grant, reserve → commit / release, and refunds when a
+// render fails after the reservation.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_STARTER_CREDITS = "10";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+// Nothing listens on port 9, so every upscale fails after credits were reserved.
+process.env.LMX_UPSCALER = "http";
+process.env.LMX_UPSCALER_URL = "http://127.0.0.1:9/upscale";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const {
+  app,
+  getCreditBalance,
+  reserveCredits,
+  commitCredits,
+  releaseCredits,
+  listCreditTransactions,
+} = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+test("a new account starts with the starter grant", async () => {
+  assert.equal(await getCreditBalance("acct_starter"), 10);
+  const [grant] = await listCreditTransactions("acct_starter");
+  assert.equal(grant.type, "grant");
+  assert.equal(grant.reason, "starter_credits");
+  assert.equal(grant.amount, 10);
+});
+
+test("reserve then commit charges once", async () => {
+  const first = await reserveCredits("acct_commit", 3, { requestId: "req_commit", operation: "generate" });
+  assert.equal(first.code, "reserved");
+  assert.equal(first.remaining, 7);
+
+  const again = await reserveCredits("acct_commit", 3, { requestId: "req_commit", operation: "generate" });
+  assert.equal(again.code, "already_reserved");
+  assert.equal(await getCreditBalance("acct_commit"), 7);
+
+  assert.equal(await commitCredits("req_commit"), true);
+  assert.equal(await releaseCredits("req_commit", "too_late"), false);
+  assert.equal(await getCreditBalance("acct_commit"), 7);
+});
+
+test("release gives a reservation back exactly once", async () => {
+  await reserveCredits("acct_release", 4, { requestId: "req_release", operation: "generate" });
+  assert.equal(await releaseCredits("req_release", "generation_failed"), true);
+  assert.equal(await releaseCredits("req_release", "generation_failed"), false);
+  assert.equal(await getCreditBalance("acct_release"), 10);
+
+  const [refund, debit] = await listCreditTransactions("acct_release");
+  assert.equal(refund.type, "refund");
+  assert.equal(refund.amount, 4);
+  assert.equal(debit.status, "released");
+});
+
+test("a reservation larger than the balance is refused and leaves no row", async () => {
+  const result = await reserveCredits("acct_poor", 11, { requestId: "req_poor", operation: "generate" });
+  assert.equal(result.ok, false);
+  assert.equal(result.code, "no_credits");
+  assert.equal(await getCreditBalance("acct_poor"), 10);
+  assert.equal((await listCreditTransactions("acct_poor")).length, 1);
+});
+
+test("a delivered frame is charged; a failed render is refunded", async () => {
+  const ok = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ prompt: "a lighthouse at night" }),
+  });
+  assert.equal(ok.status, 200);
+  const { requestId } = await ok.json();
+
+  const credits = async () => (await (await fetch(`${baseUrl}/lmx1/credits`)).json());
+  let ledger = await credits();
+  assert.equal(ledger.balance, 9);
+  assert.equal(ledger.transactions.find((tx) => tx.requestId === requestId).status, "committed");
+
+  const source = await sharp({ create: { width: 32, height: 32, channels: 3, background: "#336699" } })
+    .png()
+    .toBuffer();
+  const failed = await fetch(`${baseUrl}/lmx1/upscale`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ imageBase64: source.toString("base64"), scale: 2 }),
+  });
+  assert.ok(failed.status >= 500);
+  const failedId = (await failed.json()).requestId;
+
+  ledger = await credits();
+  assert.equal(ledger.balance, 9);
+  const refund = ledger.transactions.find((tx) => tx.id === `refund:${failedId}`);
+  assert.equal(refund.reason, "upscale_error");
+});
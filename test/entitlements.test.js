@@ -0,0 +1,164 @@
+// Plan entitlements: which operations each plan includes, batch sizes and
+// daily caps, checked through the routes with plans set by signed webhooks.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.LMX_STARTER_CREDITS = "50";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_UPSCALER = "local";
+process.env.LMX_PLAN_ENTITLEMENTS_JSON = JSON.stringify({
+  free: { dailyCaps: { generate: 2, upscale: 1 } },
+  creator: { dailyCaps: { generate: 3 } },
+});
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const Stripe = require("stripe");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+let server;
+let baseUrl;
+let imageBase64;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const source = await sharp({ create: { width: 32, height: 32, channels: 3, background: "#336699" } })
+    .png()
+    .toBuffer();
+  imageBase64 = source.toString("base64");
+
+  await setPlan("user_creator", "creator");
+  await setPlan("user_pro", "pro");
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+// Puts the user on `plan` the way production does: a signed subscription event.
+async function setPlan(userId, plan) {
+  const payload = JSON.stringify({
+    id: `evt_${userId}_${plan}`,
+    object: "event",
+    type: "customer.subscription.updated",
+    created: 1700000000,
+    data: {
+      object: { id: `sub_${userId}`, customer: `cus_${userId}`, status: "active", metadata: { lmx_user_id: userId, lmx_plan: plan } },
+    },
+  });
+  const header = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+  const res = await fetch(`${baseUrl}/stripe/webhook`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "stripe-signature": header },
+    body: payload,
+  });
+  assert.equal(res.status, 200);
+}
+
+async function post(route, user, body) {
+  const res = await fetch(`${baseUrl}/lmx1/${route}`, {
+    method: "POST",
+    headers: { authorization: bearerFor(user), "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("remix and remove-background are refused on free with the plan that has them", async () => {
+  const remix = await post("remix", "user_free", { remixPrompt: "make it winter", imageBase64 });
+  assert.equal(remix.status, 403);
+  assert.equal(remix.body.code, "operation_not_in_plan");
+  assert.equal(remix.body.plan, "free");
+  assert.equal(remix.body.requiredPlan, "creator");
+
+  const cutout = await post("remove-background", "user_free", { imageBase64 });
+  assert.equal(cutout.status, 403);
+  assert.equal(cutout.body.code, "operation_not_in_plan");
+  assert.equal(cutout.body.requiredPlan, "creator");
+});
+
+test("creator gets past the remix and remove-background gates", async () => {
+  const remix = await post("remix", "user_creator", { remixPrompt: "make it winter", imageBase64 });
+  assert.equal(remix.status, 200);
+
+  const cutout = await post("remove-background", "user_creator", { imageBase64 });
+  assert.equal(cutout.status, 200);
+});
+
+test("the upscale factor follows the plan", async () => {
+  const free = await post("upscale", "user_free_upscale", { imageBase64, scale: 4 });
+  assert.equal(free.status, 403);
+  assert.equal(free.body.code, "scale_not_allowed");
+  assert.equal(free.body.maxScale, 2);
+
+  assert.equal((await post("upscale", "user_creator", { imageBase64, scale: 4 })).status, 200);
+});
+
+test("the daily upscale cap applies on free", async () => {
+  assert.equal((await post("upscale", "user_upscaler", { imageBase64, scale: 2 })).status, 200);
+
+  const capped = await post("upscale", "user_upscaler", { imageBase64, scale: 2 });
+  assert.equal(capped.status, 429);
+  assert.equal(capped.body.code, "daily_cap_reached");
+  assert.equal(capped.body.dailyCap, 1);
+});
+
+test("batch size follows the plan", async () => {
+  const free = await post("generate", "user_batch_free", { prompt: "three kites", variations: 3 });
+  assert.equal(free.status, 403);
+  assert.equal(free.body.code, "batch_too_large");
+  assert.equal(free.body.maxBatch, 2);
+
+  const pro = await post("generate", "user_pro", { prompt: "six kites", variations: 6 });
+  assert.equal(pro.status, 200);
+  assert.equal(pro.body.succeeded, 6);
+
+  const tooMany = await post("generate", "user_pro", { prompt: "seven kites", variations: 7 });
+  assert.equal(tooMany.status, 403);
+  assert.equal(tooMany.body.maxBatch, 6);
+});
+
+test("daily generate caps differ per plan and reset at the next UTC midnight", async () => {
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await post("generate", "user_daily", { prompt: `a lighthouse ${i}` })).status, 200);
+  }
+  const capped = await post("generate", "user_daily", { prompt: "a lighthouse again" });
+  assert.equal(capped.status, 429);
+  assert.equal(capped.body.dailyCap, 2);
+  assert.equal(capped.body.remainingToday, 0);
+  assert.equal(capped.body.requiredPlan, "creator");
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  assert.equal(capped.body.resetAt, midnight.toISOString());
+
+  // The creator's remix, cut-out and upscale above are counted apart from generate.
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await post("generate", "user_creator", { prompt: `a harbour ${i}` })).status, 200);
+  }
+  assert.equal((await post("generate", "user_creator", { prompt: "a harbour again" })).status, 429);
+});
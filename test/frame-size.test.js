@@ -0,0 +1,153 @@
+// Frame planning: ratio parsing, unsupported ratios, and the size delivered
+// when a render is cropped (generate / remix) or a source is letterboxed
+// (remove-background).
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_PLAN_ENTITLEMENTS_JSON = JSON.stringify({
+  free: { operations: ["generate", "remove-background"], dailyCaps: { "remove-background": 5 } },
+});
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { app, planFrameSize, cropToFrame, letterboxForModel } = require("../LMX_AI_Generator_final_server");
+
+// The sizes gpt-image-1 renders.
+const model = { sizes: ["1024x1024", "1024x1536", "1536x1024"] };
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+function solid(width, height, background = "#3366aa") {
+  return sharp({ create: { width, height, channels: 3, background } }).png().toBuffer();
+}
+
+async function post(route, body) {
+  const res = await fetch(`${baseUrl}/lmx1/${route}`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ returnBase64: true, ...body }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("ratios parse with :, x or / and default to 1:1", () => {
+  for (const raw of ["16:9", "16x9", "16/9", " 16 : 9 ", "16X9"]) {
+    const frame = planFrameSize(model, raw);
+    assert.equal(frame.ok, true, raw);
+    assert.equal(frame.ratio, "16:9", raw);
+  }
+
+  for (const raw of [undefined, "", "  "]) {
+    assert.deepEqual(planFrameSize(model, raw), {
+      ok: true,
+      ratio: "1:1",
+      generatedSize: "1024x1024",
+      width: 1024,
+      height: 1024,
+    });
+  }
+});
+
+test("malformed ratios and ratios beyond 1:4 / 4:1 are rejected", () => {
+  for (const raw of ["wide", "16", "16:9:1", "0:1", "-1:1", "5:1", "1:5", "4.5:1"]) {
+    const frame = planFrameSize(model, raw);
+    assert.equal(frame.ok, false, raw);
+    assert.equal(frame.body.error, "invalid_ratio", raw);
+  }
+
+  assert.equal(planFrameSize(model, "4:1").ok, true);
+  assert.equal(planFrameSize(model, "1:4").ok, true);
+});
+
+test("the closest supported size is rendered and cropped to the exact ratio", () => {
+  const cases = [
+    ["16:9", "1536x1024", 1536, 864],
+    ["9:16", "1024x1536", 864, 1536],
+    ["4:5", "1024x1536", 1024, 1280],
+    ["3:2", "1536x1024", 1536, 1024],
+    ["4:1", "1536x1024", 1536, 384],
+  ];
+  for (const [ratio, generatedSize, width, height] of cases) {
+    const frame = planFrameSize(model, ratio);
+    assert.equal(frame.generatedSize, generatedSize, ratio);
+    assert.deepEqual([frame.width, frame.height], [width, height], ratio);
+  }
+});
+
+test("cropToFrame delivers the planned size around the anchor", async () => {
+  const frame = planFrameSize(model, "16:9");
+  const cropped = await sharp(await cropToFrame(await solid(1536, 1024), frame, "center")).metadata();
+  assert.deepEqual([cropped.width, cropped.height], [1536, 864]);
+
+  const square = await solid(1024, 1024);
+  assert.equal(await cropToFrame(square, planFrameSize(model, "1:1"), "center"), square);
+
+  // Red on top, blue below: the anchor decides which half survives a square crop.
+  const split = await sharp(await solid(100, 200, "#0000ff"))
+    .composite([{ input: await solid(100, 100, "#ff0000"), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+  const squareFrame = { width: 100, height: 100 };
+  const top = await sharp(await cropToFrame(split, squareFrame, "top")).raw().toBuffer();
+  const bottom = await sharp(await cropToFrame(split, squareFrame, "bottom")).raw().toBuffer();
+  assert.deepEqual([...top.subarray(0, 3)], [255, 0, 0]);
+  assert.deepEqual([...bottom.subarray(0, 3)], [0, 0, 255]);
+});
+
+test("letterboxForModel fits the source into a model size without stretching", async () => {
+  const wide = await letterboxForModel(await solid(800, 400), model);
+  assert.equal(wide.size, "1536x1024");
+  assert.deepEqual(wide.box, { width: 1536, height: 768, left: 0, top: 128 });
+  const padded = await sharp(wide.image).raw().toBuffer({ resolveWithObject: true });
+  assert.deepEqual([padded.info.width, padded.info.height], [1536, 1024]);
+  assert.deepEqual([...padded.data.subarray(0, 3)], [255, 255, 255]);
+
+  const tall = await letterboxForModel(await solid(300, 900), model);
+  assert.equal(tall.size, "1024x1536");
+  assert.deepEqual(tall.box, { width: 512, height: 1536, left: 256, top: 0 });
+});
+
+test("generate delivers the cropped frame for the requested ratio", async () => {
+  // lmx-stub also renders 1792x1024, the closest size to 16:9.
+  const res = await post("generate", { prompt: "a wide valley", ratio: "16:9" });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.width, res.body.height], [1792, 1008]);
+
+  const meta = await sharp(Buffer.from(res.body.base64, "base64")).metadata();
+  assert.deepEqual([meta.width, meta.height], [1792, 1008]);
+
+  assert.equal((await post("generate", { prompt: "a wide valley", ratio: "8:1" })).body.error, "invalid_ratio");
+});
+
+test("remove-background keeps the source size through the letterbox", async () => {
+  const imageBase64 = (await solid(120, 50)).toString("base64");
+  const res = await post("remove-background", { imageBase64 });
+  assert.equal(res.status, 200);
+  assert.deepEqual([res.body.width, res.body.height], [120, 50]);
+
+  const meta = await sharp(Buffer.from(res.body.base64, "base64")).metadata();
+  assert.deepEqual([meta.width, meta.height], [120, 50]);
+});
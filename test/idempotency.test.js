@@ -0,0 +1,104 @@
+// Idempotency-Key: a retry replays the stored response, a reused key with a
+// different body is refused, and a failed request gives its key back.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_STARTER_CREDITS = "10";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+// Nothing listens on port 9, so every upscale fails after credits were reserved.
+process.env.LMX_UPSCALER = "http";
+process.env.LMX_UPSCALER_URL = "http://127.0.0.1:9/upscale";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { app, sendIdempotent } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  app.post("/test/throws", (req, res) =>
+    sendIdempotent(req, res, "throws", async () => {
+      throw new Error("boom");
+    })
+  );
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+async function post(route, key, body) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "idempotency-key": key },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, replayed: res.headers.get("idempotent-replayed"), body: await res.json() };
+}
+
+async function balance() {
+  return (await (await fetch(`${baseUrl}/lmx1/credits`)).json()).balance;
+}
+
+test("a retry with the same key and body replays the first response", async () => {
+  const first = await post("/lmx1/generate", "key-replay", { prompt: "a tin robot" });
+  assert.equal(first.status, 200);
+  assert.equal(first.replayed, null);
+  const charged = await balance();
+
+  const retry = await post("/lmx1/generate", "key-replay", { prompt: "a tin robot" });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.replayed, "true");
+  assert.equal(retry.body.requestId, first.body.requestId);
+  assert.equal(await balance(), charged);
+});
+
+test("the same key with a different body is refused", async () => {
+  await post("/lmx1/generate", "key-reused", { prompt: "a paper boat" });
+
+  const res = await post("/lmx1/generate", "key-reused", { prompt: "a paper plane" });
+  assert.equal(res.status, 422);
+  assert.equal(res.body.error, "idempotency_key_reused");
+});
+
+test("a failed request releases its key, so the retry runs again", async () => {
+  const imageBase64 = (
+    await sharp({ create: { width: 16, height: 16, channels: 3, background: "#aa3300" } }).png().toBuffer()
+  ).toString("base64");
+  const before = await balance();
+
+  const first = await post("/lmx1/upscale", "key-failed", { imageBase64, scale: 2 });
+  assert.ok(first.status >= 500);
+
+  const retry = await post("/lmx1/upscale", "key-failed", { imageBase64, scale: 2 });
+  assert.ok(retry.status >= 500);
+  assert.equal(retry.replayed, null);
+  assert.notEqual(retry.body.requestId, first.body.requestId);
+  assert.equal(await balance(), before);
+});
+
+test("an operation that throws gets a JSON 500 and gives its key back", async () => {
+  const first = await post("/test/throws", "key-throws", {});
+  assert.equal(first.status, 500);
+  assert.equal(first.body.error, "server_error");
+  assert.ok(first.body.requestId);
+
+  const retry = await post("/test/throws", "key-throws", {});
+  assert.equal(retry.status, 500);
+  assert.notEqual(retry.body.requestId, first.body.requestId);
+});
@@ -0,0 +1,65 @@
+// Image model registry with the offline stub provider, and per-plan model overrides.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+// Nothing listens here: captions fall back instead of reaching the network.
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_IMAGE_MODELS = "gpt-image-1,lmx-stub";
+process.env.LMX_PLAN_ENTITLEMENTS_JSON = JSON.stringify({ free: { models: ["lmx-stub"] } });
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+async function generate(body) {
+  const res = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ returnBase64: true, ...body }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("the plan's models override is what /lmx1/plans reports", async () => {
+  const res = await fetch(`${baseUrl}/lmx1/plans`);
+  const { plans } = await res.json();
+  assert.deepEqual(plans.find((p) => p.plan === "free").models, ["lmx-stub"]);
+  assert.deepEqual(plans.find((p) => p.plan === "creator").models, ["gpt-image-1", "lmx-stub"]);
+});
+
+test("the stub provider renders the requested frame offline", async () => {
+  const res = await generate({ prompt: "a lighthouse at night", model: "lmx-stub", ratio: "2:3" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.size, "1024x1536");
+
+  const meta = await sharp(Buffer.from(res.body.base64, "base64")).metadata();
+  assert.equal(meta.width, 1024);
+  assert.equal(meta.height, 1536);
+});
+
+test("a model left out of the plan's override is refused", async () => {
+  const res = await generate({ prompt: "a lighthouse at night", model: "gpt-image-1" });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "model_not_in_plan");
+  assert.deepEqual(res.body.allowedModels, ["lmx-stub"]);
+});
@@ -0,0 +1,141 @@
+// Async jobs: submit → poll, the SSE stream, cancel, owner-only access and
+// the cap on upload bytes held by unfinished jobs.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_JOB_CONCURRENCY = "1";
+process.env.LMX_JOBS_MAX_QUEUED_MB = "0.1";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+async function call(method, url, { user, body } = {}) {
+  const headers = {};
+  if (user) headers.authorization = bearerFor(user);
+  if (body) headers["content-type"] = "application/json";
+  const res = await fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+async function waitForJob(jobId, user) {
+  for (;;) {
+    const { body } = await call("GET", `/lmx1/jobs/${jobId}`, { user });
+    if (["succeeded", "failed", "cancelled"].includes(body.status)) return body;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+}
+
+test("a submitted job runs and can be polled to its result", async () => {
+  const submitted = await call("POST", "/lmx1/jobs", {
+    user: "user_jobs",
+    body: { operation: "generate", prompt: "a lantern in the fog" },
+  });
+  assert.equal(submitted.status, 202);
+  assert.equal(submitted.body.statusUrl, `/lmx1/jobs/${submitted.body.jobId}`);
+
+  const job = await waitForJob(submitted.body.jobId, "user_jobs");
+  assert.equal(job.status, "succeeded");
+  assert.equal(job.httpStatus, 200);
+  assert.equal(job.result.requestId, job.requestId);
+});
+
+test("the events stream starts with a snapshot and ends with the final status", async () => {
+  const submitted = await call("POST", "/lmx1/jobs", {
+    user: "user_jobs",
+    body: { operation: "generate", prompt: "a windmill at dusk" },
+  });
+  const res = await fetch(`${baseUrl}${submitted.body.eventsUrl}`, {
+    headers: { authorization: bearerFor("user_jobs") },
+  });
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+
+  const events = [...(await res.text()).matchAll(/^event: (\w+)$/gm)].map((match) => match[1]);
+  assert.equal(events[0], "snapshot");
+  assert.equal(events.at(-1), "succeeded");
+});
+
+test("a queued job can be cancelled, once", async () => {
+  const first = await call("POST", "/lmx1/jobs", {
+    user: "user_cancel",
+    body: { operation: "generate", prompt: "a red balloon" },
+  });
+  const second = await call("POST", "/lmx1/jobs", {
+    user: "user_cancel",
+    body: { operation: "generate", prompt: "a blue balloon" },
+  });
+  assert.equal(second.body.status, "queued");
+
+  const cancelled = await call("DELETE", `/lmx1/jobs/${second.body.jobId}`, { user: "user_cancel" });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, "cancelled");
+
+  const again = await call("DELETE", `/lmx1/jobs/${second.body.jobId}`, { user: "user_cancel" });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, "job_finished");
+
+  await waitForJob(first.body.jobId, "user_cancel");
+});
+
+test("jobs are only visible to their owner", async () => {
+  const submitted = await call("POST", "/lmx1/jobs", {
+    user: "user_owner",
+    body: { operation: "generate", prompt: "a quiet street" },
+  });
+  const { jobId } = submitted.body;
+
+  assert.equal((await call("GET", `/lmx1/jobs/${jobId}`, { user: "user_other" })).status, 404);
+  assert.equal((await call("GET", `/lmx1/jobs/${jobId}/events`, { user: "user_other" })).status, 404);
+  assert.equal((await call("DELETE", `/lmx1/jobs/${jobId}`, { user: "user_other" })).status, 404);
+  assert.equal((await call("GET", `/lmx1/jobs/${jobId}`)).status, 404);
+
+  await waitForJob(jobId, "user_owner");
+});
+
+test("uploads beyond the held-bytes cap are refused with 503", async () => {
+  const res = await call("POST", "/lmx1/jobs", {
+    user: "user_bytes",
+    body: { operation: "upscale", imageBase64: "A".repeat(200 * 1024) },
+  });
+  assert.equal(res.status, 503);
+  assert.equal(res.body.code, "queue_bytes_full");
+});
+
+test("unknown operations are a 400", async () => {
+  const res = await call("POST", "/lmx1/jobs", { user: "user_jobs", body: { operation: "paint" } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "invalid_operation");
+});
@@ -0,0 +1,83 @@
+// Library: frames are listed, read and deleted only by the user who made them.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+let ownedRequestId;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const res = await call("POST", "/lmx1/generate", { user: "user_owner", body: { prompt: "a quiet harbour" } });
+  assert.equal(res.status, 200);
+  ownedRequestId = res.body.requestId;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+async function call(method, url, { user, body } = {}) {
+  const headers = {};
+  if (user) headers.authorization = bearerFor(user);
+  if (body) headers["content-type"] = "application/json";
+  const res = await fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+test("guests get 401 from every Library route", async () => {
+  assert.equal((await call("GET", "/lmx1/library")).status, 401);
+  assert.equal((await call("GET", `/lmx1/library/${ownedRequestId}`)).status, 401);
+  assert.equal((await call("DELETE", `/lmx1/library/${ownedRequestId}`)).status, 401);
+});
+
+test("the owner sees the frame in the list and by id", async () => {
+  const list = await call("GET", "/lmx1/library", { user: "user_owner" });
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.items.map((item) => item.requestId), [ownedRequestId]);
+
+  const item = await call("GET", `/lmx1/library/${ownedRequestId}`, { user: "user_owner" });
+  assert.equal(item.status, 200);
+  assert.equal(item.body.requestId, ownedRequestId);
+});
+
+test("another user can neither list, read nor delete the frame", async () => {
+  const list = await call("GET", "/lmx1/library", { user: "user_other" });
+  assert.equal(list.body.total, 0);
+
+  assert.equal((await call("GET", `/lmx1/library/${ownedRequestId}`, { user: "user_other" })).status, 404);
+  assert.equal((await call("DELETE", `/lmx1/library/${ownedRequestId}`, { user: "user_other" })).status, 404);
+  assert.equal((await call("GET", `/lmx1/library/${ownedRequestId}`, { user: "user_owner" })).status, 200);
+});
+
+test("the owner can delete the frame", async () => {
+  const res = await call("DELETE", `/lmx1/library/${ownedRequestId}`, { user: "user_owner" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.deleted, true);
+  assert.equal((await call("GET", `/lmx1/library/${ownedRequestId}`, { user: "user_owner" })).status, 404);
+});
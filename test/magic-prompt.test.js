@@ -0,0 +1,81 @@
+// Magic prompt preview: signed-in callers get a text-model expansion, guests
+// only get expansions that are already cached.
+const http = require("http");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+let textModel;
+let textModelCalls = 0;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  // Stands in for the chat completions API; the server reads OPENAI_BASE_URL at require time.
+  textModel = http.createServer((req, res) => {
+    textModelCalls += 1;
+    req.resume();
+    res.setHeader("content-type", "application/json");
+    res.end(JSON.stringify({ choices: [{ message: { content: "A lighthouse on a basalt cliff at dusk, wide lens." } }] }));
+  });
+  textModel.listen(0);
+  await new Promise((resolve) => textModel.once("listening", resolve));
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${textModel.address().port}/v1`;
+
+  const { app } = require("../LMX_AI_Generator_final_server");
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  textModel.close();
+});
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+async function magicPrompt(body, user) {
+  const headers = { "content-type": "application/json" };
+  if (user) headers.authorization = bearerFor(user);
+  const res = await fetch(`${baseUrl}/lmx1/magic-prompt`, { method: "POST", headers, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+test("a guest gets the template, not a text-model call", async () => {
+  const res = await magicPrompt({ prompt: "a lighthouse" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.enhanced, false);
+  assert.equal(res.body.fallbackReason, "sign_in_required");
+  assert.match(res.body.magicPrompt, /LMX Synthetic Designer frame\. .* a lighthouse$/);
+  assert.equal(textModelCalls, 0);
+});
+
+test("a signed-in user gets an expansion, which guests then reuse from the cache", async () => {
+  const signedIn = await magicPrompt({ prompt: "a lighthouse" }, "user_magic");
+  assert.equal(signedIn.status, 200);
+  assert.equal(signedIn.body.enhanced, true);
+  assert.equal(signedIn.body.cached, false);
+  assert.equal(signedIn.body.magicPrompt, "A lighthouse on a basalt cliff at dusk, wide lens.");
+  assert.equal(textModelCalls, 1);
+
+  const guest = await magicPrompt({ prompt: "A  Lighthouse" });
+  assert.equal(guest.body.enhanced, true);
+  assert.equal(guest.body.cached, true);
+  assert.equal(guest.body.magicPrompt, signedIn.body.magicPrompt);
+  assert.equal(textModelCalls, 1);
+});
@@ -0,0 +1,66 @@
+// GET /media/:id signature checks: bad or multibyte signatures are 403s, not crashes.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.LMX_MEDIA_SIGNING_SECRET = "media-fixture-secret";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+const MEDIA_ID = "lmx_fixture_0123abcd.png";
+let server;
+let baseUrl;
+
+test.before(async () => {
+  fs.writeFileSync(path.join(process.env.LMX_MEDIA_DIR, MEDIA_ID), Buffer.from("fixture"));
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+function sign(id, expires) {
+  return crypto
+    .createHmac("sha256", process.env.LMX_MEDIA_SIGNING_SECRET)
+    .update(`${id}:${expires}`)
+    .digest("base64url");
+}
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test("serves media with a valid signature", async () => {
+  const expires = inOneHour();
+  const res = await fetch(`${baseUrl}/media/${MEDIA_ID}?expires=${expires}&sig=${sign(MEDIA_ID, expires)}`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), "fixture");
+});
+
+test("rejects unsigned, expired and forged links", async () => {
+  assert.equal((await fetch(`${baseUrl}/media/${MEDIA_ID}`)).status, 403);
+
+  const past = Math.floor(Date.now() / 1000) - 10;
+  assert.equal((await fetch(`${baseUrl}/media/${MEDIA_ID}?expires=${past}&sig=${sign(MEDIA_ID, past)}`)).status, 403);
+
+  const expires = inOneHour();
+  const forged = sign("other.png", expires);
+  assert.equal((await fetch(`${baseUrl}/media/${MEDIA_ID}?expires=${expires}&sig=${forged}`)).status, 403);
+});
+
+test("a multibyte signature of the right length is a 403, not a crash", async () => {
+  const expires = inOneHour();
+  const sig = encodeURIComponent("é".repeat(sign(MEDIA_ID, expires).length));
+  const res = await fetch(`${baseUrl}/media/${MEDIA_ID}?expires=${expires}&sig=${sig}`);
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).error, "invalid_media_signature");
+});
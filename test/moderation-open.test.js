@@ -0,0 +1,55 @@
+// LMX_MODERATION_ON_ERROR=open: an outage lets prompts and outputs through.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_MODERATION_PROVIDER = "stub";
+process.env.LMX_IMAGE_MODERATION_PROVIDER = "stub";
+process.env.LMX_MODERATION_ON_ERROR = "open";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+test("prompt and output outages are let through", async () => {
+  const res = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ prompt: "a mountain lake stub:error stubimg:error" }),
+  });
+  assert.equal(res.status, 200);
+});
+
+test("a flagged prompt is still blocked", async () => {
+  const res = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ prompt: "a mountain lake stub:violence" }),
+  });
+  const body = await res.json();
+  assert.equal(res.status, 400);
+  assert.equal(body.code, "violence");
+});
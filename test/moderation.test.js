@@ -0,0 +1,79 @@
+// Moderation provider outages: with the default LMX_MODERATION_ON_ERROR
+// ("closed") a prompt or output that could not be screened is a 503, never a
+// block, a strike or a charge.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_ADMIN_TOKEN = "admin-fixture-token";
+process.env.LMX_STARTER_CREDITS = "10";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_MODERATION_PROVIDER = "stub";
+process.env.LMX_IMAGE_MODERATION_PROVIDER = "stub";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+async function generate(prompt) {
+  const res = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ prompt }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function balance() {
+  return (await (await fetch(`${baseUrl}/lmx1/credits`)).json()).balance;
+}
+
+async function strikeCount() {
+  const res = await fetch(`${baseUrl}/admin/strikes?ip=127.0.0.1`, {
+    headers: { "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN },
+  });
+  return (await res.json()).strikes.length;
+}
+
+test("a prompt the provider could not score is a 503 without a strike", async () => {
+  const res = await generate("a mountain lake stub:error");
+  assert.equal(res.status, 503);
+  assert.equal(res.body.code, "moderation_unavailable");
+  assert.equal(await strikeCount(), 0);
+  assert.equal(await balance(), 10);
+});
+
+test("an output the provider could not screen is a 503 and its credits come back", async () => {
+  const res = await generate("a mountain lake stubimg:error");
+  assert.equal(res.status, 503);
+  assert.equal(res.body.code, "moderation_unavailable");
+  assert.equal(await balance(), 10);
+});
+
+test("the same prompt goes through once the provider answers", async () => {
+  const res = await generate("a mountain lake");
+  assert.equal(res.status, 200);
+  assert.equal(await balance(), 9);
+});
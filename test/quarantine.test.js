@@ -0,0 +1,100 @@
+// Output screening: a flagged frame is withheld, kept for review under
+// quarantine/, left out of the Library and not charged.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_ADMIN_TOKEN = "admin-fixture-token";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.LMX_STARTER_CREDITS = "10";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_IMAGE_MODERATION_PROVIDER = "stub";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app, getCreditBalance, listCreditTransactions } = require("../LMX_AI_Generator_final_server");
+
+const adminHeaders = { "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN };
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+test("a flagged output is withheld, quarantined and refunded", async () => {
+  const res = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json", authorization: bearerFor("user_flagged") },
+    body: JSON.stringify({ prompt: "a stormy harbour stubimg:violence" }),
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 422);
+  assert.equal(body.error, "unsafe_output");
+  assert.equal(body.code, "output_violence");
+  assert.equal(body.refunded, true);
+  assert.equal(body.imageUrl, undefined);
+
+  assert.equal(await getCreditBalance("user_flagged"), 10);
+  const debit = (await listCreditTransactions("user_flagged")).find((tx) => tx.type === "debit");
+  assert.equal(debit.status, "released");
+
+  const { items } = await (await fetch(`${baseUrl}/admin/quarantine`, { headers: adminHeaders })).json();
+  const item = items.find((entry) => entry.requestId === body.requestId);
+  assert.equal(item.userId, "user_flagged");
+  assert.equal(item.refunded, true);
+
+  const image = await fetch(`${baseUrl}/admin/quarantine/${item.id}/image`, { headers: adminHeaders });
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get("content-type"), "image/png");
+  await image.arrayBuffer();
+
+  const library = await fetch(`${baseUrl}/lmx1/library/${body.requestId}`, {
+    headers: { authorization: bearerFor("user_flagged") },
+  });
+  assert.equal(library.status, 404);
+});
+
+test("the withheld image is not reachable through /media or without the admin token", async () => {
+  const { items } = await (await fetch(`${baseUrl}/admin/quarantine`, { headers: adminHeaders })).json();
+  const [item] = items;
+
+  assert.equal((await fetch(`${baseUrl}/admin/quarantine/${item.id}/image`)).status, 401);
+  const media = await fetch(`${baseUrl}/media/${encodeURIComponent(item.mediaKey)}`);
+  assert.notEqual(media.status, 200);
+});
+
+test("a clean output is delivered and charged", async () => {
+  const res = await fetch(`${baseUrl}/lmx1/generate`, {
+    method: "POST",
+    headers: { "content-type": "application/json", authorization: bearerFor("user_clean") },
+    body: JSON.stringify({ prompt: "a calm harbour" }),
+  });
+  assert.equal(res.status, 200);
+  await res.json();
+  assert.equal(await getCreditBalance("user_clean"), 9);
+});
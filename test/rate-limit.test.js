@@ -0,0 +1,117 @@
+// Rate limiting: per-user limits sized by plan, the per-IP limit for guests,
+// and the 429 / Retry-After / X-RateLimit-* headers.
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.LMX_RATE_LIMITS_JSON = JSON.stringify({
+  user: { "magic-prompt": { free: 2, creator: 4 } },
+  ip: { "magic-prompt": 100, default: 3 },
+});
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const Stripe = require("stripe");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+// Puts the user on `plan` the way production does: a signed subscription event.
+async function setPlan(userId, plan) {
+  const payload = JSON.stringify({
+    id: `evt_${userId}_${plan}`,
+    object: "event",
+    type: "customer.subscription.updated",
+    created: 1700000000,
+    data: {
+      object: { id: `sub_${userId}`, customer: `cus_${userId}`, status: "active", metadata: { lmx_user_id: userId, lmx_plan: plan } },
+    },
+  });
+  const header = stripe.webhooks.generateTestHeaderString({ payload, secret: process.env.STRIPE_WEBHOOK_SECRET });
+  const res = await fetch(`${baseUrl}/stripe/webhook`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "stripe-signature": header },
+    body: payload,
+  });
+  assert.equal(res.status, 200);
+}
+
+// An empty body is a cheap 400 after the limiter has counted the request.
+async function magicPrompt(user) {
+  const headers = { "content-type": "application/json" };
+  if (user) headers.authorization = bearerFor(user);
+  const res = await fetch(`${baseUrl}/lmx1/magic-prompt`, { method: "POST", headers, body: "{}" });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+}
+
+test("a free user gets the free limit, then a 429 with Retry-After", async () => {
+  const first = await magicPrompt("user_free");
+  assert.notEqual(first.status, 429);
+  assert.equal(first.headers.get("x-ratelimit-limit"), "2");
+  assert.equal(first.headers.get("x-ratelimit-remaining"), "1");
+  assert.equal(first.headers.get("x-ratelimit-scope"), "user");
+  assert.ok(Number(first.headers.get("x-ratelimit-reset")) * 1000 > Date.now());
+
+  assert.notEqual((await magicPrompt("user_free")).status, 429);
+
+  const limited = await magicPrompt("user_free");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.error, "rate_limited");
+  assert.equal(limited.body.code, "rate_limit_user");
+  assert.equal(limited.headers.get("x-ratelimit-remaining"), "0");
+  const retryAfter = Number(limited.headers.get("retry-after"));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60);
+  assert.equal(limited.body.retryAfter, retryAfter);
+});
+
+test("the limit is counted per user", async () => {
+  assert.notEqual((await magicPrompt("user_neighbour")).status, 429);
+});
+
+test("a paid plan gets its own, larger limit", async () => {
+  await setPlan("user_creator", "creator");
+  for (let i = 0; i < 4; i++) {
+    const res = await magicPrompt("user_creator");
+    assert.notEqual(res.status, 429, `request ${i + 1}`);
+    assert.equal(res.headers.get("x-ratelimit-limit"), "4");
+  }
+  assert.equal((await magicPrompt("user_creator")).status, 429);
+});
+
+test("operations without their own entry share the per-IP default limit", async () => {
+  const submit = () =>
+    fetch(`${baseUrl}/lmx1/jobs`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ operation: "paint" }),
+    });
+
+  for (let i = 0; i < 3; i++) {
+    const res = await submit();
+    assert.equal(res.status, 400);
+    await res.arrayBuffer();
+  }
+  const limited = await submit();
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).code, "rate_limit_ip");
+});
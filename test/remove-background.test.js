@@ -0,0 +1,63 @@
+// Background removal input checks: non-string ratio / bgMode / bgColor are 400s, not crashes.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_PLAN_ENTITLEMENTS_JSON = JSON.stringify({
+  free: { operations: ["generate", "remove-background"], dailyCaps: { "remove-background": 5 } },
+});
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+let imageBase64;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const source = await sharp({ create: { width: 64, height: 80, channels: 3, background: "#448866" } })
+    .png()
+    .toBuffer();
+  imageBase64 = source.toString("base64");
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+async function removeBackground(fields) {
+  const res = await fetch(`${baseUrl}/lmx1/remove-background`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ imageBase64, ...fields }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("non-string and malformed fields are rejected with 400", async () => {
+  assert.equal((await removeBackground({ ratio: 16 })).body.error, "invalid_ratio");
+  assert.equal((await removeBackground({ ratio: { w: 4, h: 5 } })).body.error, "invalid_ratio");
+  assert.equal((await removeBackground({ bgMode: { mode: "color" } })).body.error, "invalid_bg_mode");
+  assert.equal((await removeBackground({ bgMode: "color", bgColor: 1234 })).body.error, "invalid_bg_color");
+  assert.equal((await removeBackground({ bgMode: "color", bgColor: "red" })).status, 400);
+});
+
+test("a valid colour fill comes back with the normalised ratio", async () => {
+  const res = await removeBackground({ bgMode: "color", bgColor: "#fff", ratio: " 4x5 " });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ratio, "4:5");
+  assert.equal(res.body.bgColor, "#fff");
+});
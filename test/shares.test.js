@@ -0,0 +1,117 @@
+// Share links: public page and image while active; gone (410) once revoked,
+// expired, or when the frame is deleted from the Library.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.LMX_IMAGE_MODELS = "lmx-stub";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+// Node 20's test runner misreads a child's stdout when a log line starting
+// with a multibyte character lands in the same chunk right after one of its
+// own messages, which these back-to-back generate calls trigger. Server logs
+// go to stderr here instead.
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app, sharesStore } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+async function call(method, url, { user, body } = {}) {
+  const headers = {};
+  if (user) headers.authorization = bearerFor(user);
+  if (body) headers["content-type"] = "application/json";
+  const res = await fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+async function publicStatus(shareId) {
+  const page = await fetch(`${baseUrl}/s/${shareId}`);
+  const image = await fetch(`${baseUrl}/s/${shareId}/image`);
+  await Promise.all([page.arrayBuffer(), image.arrayBuffer()]);
+  return [page.status, image.status];
+}
+
+async function shareNewFrame(user, fields = {}) {
+  const generated = await call("POST", "/lmx1/generate", { user, body: { prompt: "a paper boat" } });
+  assert.equal(generated.status, 200);
+  const share = await call("POST", "/lmx1/share", {
+    user,
+    body: { requestId: generated.body.requestId, ...fields },
+  });
+  assert.equal(share.status, 201);
+  return { requestId: generated.body.requestId, shareId: share.body.shareId };
+}
+
+test("only the owner can share a frame or revoke its link", async () => {
+  const { requestId, shareId } = await shareNewFrame("user_sharer");
+
+  assert.equal((await call("POST", "/lmx1/share", { user: "user_other", body: { requestId } })).status, 404);
+  assert.equal((await call("DELETE", `/lmx1/share/${shareId}`, { user: "user_other" })).status, 404);
+  assert.deepEqual(await publicStatus(shareId), [200, 200]);
+});
+
+test("a revoked link stops serving the page and the image", async () => {
+  const { shareId } = await shareNewFrame("user_sharer");
+  assert.deepEqual(await publicStatus(shareId), [200, 200]);
+
+  const revoked = await call("DELETE", `/lmx1/share/${shareId}`, { user: "user_sharer" });
+  assert.equal(revoked.status, 200);
+  assert.equal(revoked.body.active, false);
+  assert.deepEqual(await publicStatus(shareId), [410, 410]);
+});
+
+test("an expired link is gone", async () => {
+  const { shareId } = await shareNewFrame("user_sharer", { expiresInHours: 1 });
+  assert.deepEqual(await publicStatus(shareId), [200, 200]);
+
+  await sharesStore.update(shareId, (current) => ({
+    ...current,
+    expiresAt: new Date(Date.now() - 1000).toISOString(),
+  }));
+  assert.deepEqual(await publicStatus(shareId), [410, 410]);
+});
+
+test("deleting the frame from the Library revokes its links", async () => {
+  const { requestId, shareId } = await shareNewFrame("user_sharer");
+  assert.equal((await call("DELETE", `/lmx1/library/${requestId}`, { user: "user_sharer" })).status, 200);
+  assert.deepEqual(await publicStatus(shareId), [410, 410]);
+});
+
+test("out-of-range expiry and unknown links are refused", async () => {
+  const generated = await call("POST", "/lmx1/generate", { user: "user_sharer", body: { prompt: "a kite" } });
+  const res = await call("POST", "/lmx1/share", {
+    user: "user_sharer",
+    body: { requestId: generated.body.requestId, expiresInHours: -1 },
+  });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "invalid_expiry");
+  assert.deepEqual(await publicStatus("missing"), [404, 404]);
+});
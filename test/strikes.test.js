@@ -0,0 +1,138 @@
+// Strikes: which blocked prompts ban on the first strike, no duplicate bans,
+// per-category counting and team API keys.
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.LMX_ADMIN_TOKEN = "admin-fixture-token";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function tokenFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `${input}.${signature}`;
+}
+
+// `subject` is a user id, or { apiKey } for a team key.
+function authHeaders(subject) {
+  return subject.apiKey ? { "x-lmx-api-key": subject.apiKey } : { authorization: `Bearer ${tokenFor(subject)}` };
+}
+
+async function post(path, userId, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: { ...authHeaders(userId), "content-type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function createTeamKey(teamId) {
+  const res = await fetch(`${baseUrl}/admin/api-keys`, {
+    method: "POST",
+    headers: { "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN, "content-type": "application/json" },
+    body: JSON.stringify({ teamId }),
+  });
+  return res.json();
+}
+
+async function bansFor(userId) {
+  const res = await fetch(`${baseUrl}/admin/bans`, {
+    headers: { "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN },
+  });
+  return (await res.json()).bans.filter((ban) => ban.value === userId);
+}
+
+test("an age on its own is blocked with a warning, not a ban", async () => {
+  const res = await post("/lmx1/generate", "user_parent", { prompt: "portrait of my 16 year old daughter" });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "minor_age_reference");
+  assert.equal(res.body.strike.action, "warn");
+  assert.deepEqual(await bansFor("user_parent"), []);
+});
+
+test("an explicit phrase bans on the first strike, once", async () => {
+  const first = await post("/lmx1/generate", "user_explicit", { prompt: "teen porn" });
+  assert.equal(first.status, 400);
+  assert.equal(first.body.strike.action, "ban");
+  assert.equal((await bansFor("user_explicit")).length, 1);
+
+  // Still reaches the filter while banned (presets don't check bans): no second ban.
+  const again = await post("/lmx1/styles", "user_explicit", { key: "house", description: "teen porn" });
+  assert.equal(again.status, 400);
+  assert.equal((await bansFor("user_explicit")).length, 1);
+
+  const blocked = await post("/lmx1/generate", "user_explicit", { prompt: "a red barn" });
+  assert.equal(blocked.status, 403);
+});
+
+test("a false-positive review lifts the automatic ban", async () => {
+  const admin = { "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN, "content-type": "application/json" };
+  const first = await post("/lmx1/generate", "user_reviewed", { prompt: "teen porn" });
+  assert.equal(first.body.strike.action, "ban");
+
+  const list = await fetch(`${baseUrl}/admin/moderation/events?status=pending`, { headers: admin });
+  const event = (await list.json()).events.find((e) => e.userId === "user_reviewed");
+
+  const review = await fetch(`${baseUrl}/admin/moderation/events/${event.id}/review`, {
+    method: "POST",
+    headers: admin,
+    body: JSON.stringify({ verdict: "false_positive" }),
+  });
+  const body = await review.json();
+  assert.equal(review.status, 200);
+  assert.equal(body.strikesRemoved, 1);
+  assert.equal(body.bansLifted.length, 1);
+
+  const [ban] = await bansFor("user_reviewed");
+  assert.ok(ban.revokedAt);
+  assert.notEqual((await post("/lmx1/generate", "user_reviewed", { prompt: "teen porn" })).status, 403);
+});
+
+test("strikes escalate per category, not across unrelated ones", async () => {
+  for (const prompt of ["revenge porn", "revenge porn", "bestiality"]) {
+    const res = await post("/lmx1/generate", "user_mixed", { prompt });
+    assert.equal(res.body.strike.action, "warn", prompt);
+  }
+
+  const third = await post("/lmx1/generate", "user_mixed", { prompt: "revenge porn" });
+  assert.equal(third.body.strike.count, 3);
+  assert.equal(third.body.strike.action, "cooldown");
+});
+
+test("a strike from a team API key bans that key, not the team", async () => {
+  const misused = await createTeamKey("team_acme");
+  const other = await createTeamKey("team_acme");
+
+  const res = await post("/lmx1/generate", { apiKey: misused.apiKey }, { prompt: "teen porn" });
+  assert.equal(res.body.strike.action, "ban");
+  const [ban] = await bansFor(misused.id);
+  assert.equal(ban.type, "api_key");
+  assert.deepEqual(await bansFor("team:team_acme"), []);
+
+  const blocked = await post("/lmx1/generate", { apiKey: misused.apiKey }, { prompt: "a red barn" });
+  assert.equal(blocked.status, 403);
+  assert.equal(blocked.body.code, "api_key_banned");
+  assert.notEqual((await post("/lmx1/generate", { apiKey: other.apiKey }, { prompt: "a red barn" })).status, 403);
+
+  const strikes = await fetch(`${baseUrl}/admin/strikes?apiKeyId=${misused.id}`, {
+    headers: { "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN },
+  });
+  assert.equal((await strikes.json()).strikes.length, 1);
+});
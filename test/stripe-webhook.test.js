@@ -0,0 +1,200 @@
+// Stripe webhook: signed fixture payloads, exactly-once storage, replay and
+// the per-event handlers. Events are signed locally with the test secret.
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.LMX_ADMIN_TOKEN = "admin-fixture-token";
+process.env.LMX_STARTER_CREDITS = "10";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+process.env.STRIPE_PRICE_PRO = "price_pro_fixture";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const Stripe = require("stripe");
+const { app, stripeEvents, getCreditBalance, getUserAccount } = require("../LMX_AI_Generator_final_server");
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function fixtureEvent(id, type, object) {
+  return { id, object: "event", type, created: 1700000000, data: { object } };
+}
+
+function bearerFor(sub) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ sub, exp: Math.floor(Date.now() / 1000) + 3600 })}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+async function sendEvent(event, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) {
+  const payload = JSON.stringify(event);
+  const header = stripe.webhooks.generateTestHeaderString({ payload, secret });
+  const res = await fetch(`${baseUrl}/stripe/webhook`, {
+    method: "POST",
+    headers: { "content-type": "application/json", "stripe-signature": header },
+    body: payload,
+  });
+  const text = await res.text();
+  return { status: res.status, body: text.startsWith("{") ? JSON.parse(text) : text };
+}
+
+test("rejects payloads signed with another secret", async () => {
+  const res = await sendEvent(fixtureEvent("evt_badsig", "invoice.paid", {}), { secret: "whsec_other" });
+  assert.equal(res.status, 400);
+  assert.equal(await stripeEvents.get("evt_badsig"), null);
+});
+
+test("credit pack checkout grants credits exactly once", async () => {
+  const event = fixtureEvent("evt_pack_1", "checkout.session.completed", {
+    id: "cs_pack_1",
+    mode: "payment",
+    payment_status: "paid",
+    customer: "cus_pack",
+    client_reference_id: "user_pack",
+    metadata: { lmx_credits: "100" },
+  });
+
+  const first = await sendEvent(event);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.duplicate, false);
+  assert.equal(await getCreditBalance("user_pack"), 110);
+
+  const retry = await sendEvent(event);
+  assert.equal(retry.status, 200);
+  assert.equal(retry.body.duplicate, true);
+  assert.equal(await getCreditBalance("user_pack"), 110);
+
+  const stored = await stripeEvents.get("evt_pack_1");
+  assert.equal(stored.status, "processed");
+  assert.equal(stored.attempts, 1);
+});
+
+test("subscription events set and clear the plan", async () => {
+  const subscription = {
+    id: "sub_1",
+    customer: "cus_sub",
+    status: "active",
+    metadata: { lmx_user_id: "user_sub", lmx_plan: "pro" },
+  };
+
+  await sendEvent(fixtureEvent("evt_sub_created", "customer.subscription.created", subscription));
+  assert.equal((await getUserAccount("user_sub")).plan, "pro");
+
+  await sendEvent(fixtureEvent("evt_sub_deleted", "customer.subscription.deleted", { ...subscription, status: "canceled" }));
+  const account = await getUserAccount("user_sub");
+  assert.equal(account.plan, "free");
+  assert.equal(account.subscriptionStatus, "canceled");
+});
+
+test("invoice.paid tops up monthly credits once per invoice; payment_failed starts a grace period", async () => {
+  await sendEvent(
+    fixtureEvent("evt_inv_sub", "customer.subscription.updated", {
+      id: "sub_2",
+      customer: "cus_inv",
+      status: "active",
+      metadata: { lmx_user_id: "user_inv", lmx_plan: "creator" },
+    })
+  );
+
+  const invoice = { id: "in_1", subscription: "sub_2", customer: "cus_inv", lines: { data: [] } };
+  await sendEvent(fixtureEvent("evt_inv_paid", "invoice.paid", invoice));
+  // Same invoice under a new event id (Stripe resend): still one grant.
+  await sendEvent(fixtureEvent("evt_inv_paid_again", "invoice.paid", invoice));
+  assert.equal(await getCreditBalance("user_inv"), 10 + 200);
+
+  await sendEvent(fixtureEvent("evt_inv_failed", "invoice.payment_failed", invoice));
+  const account = await getUserAccount("user_inv");
+  assert.equal(account.subscriptionStatus, "past_due");
+  assert.ok(Date.parse(account.graceUntil) > Date.now());
+});
+
+test("checkout sends a user with a live subscription to the portal instead of a second subscription", async () => {
+  // user_inv is past_due on sub_2 from the previous test: still a live subscription.
+  const res = await fetch(`${baseUrl}/billing/checkout`, {
+    method: "POST",
+    headers: { "content-type": "application/json", authorization: bearerFor("user_inv") },
+    body: JSON.stringify({ plan: "pro" }),
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 409);
+  assert.equal(body.error, "subscription_exists");
+  assert.equal(body.portal, "/billing/portal");
+});
+
+test("a stale processing claim is retried instead of answered as a duplicate", async () => {
+  const event = fixtureEvent("evt_stale", "checkout.session.completed", {
+    id: "cs_stale",
+    mode: "payment",
+    payment_status: "paid",
+    client_reference_id: "user_stale",
+    metadata: { lmx_credits: "50" },
+  });
+  await stripeEvents.set(event.id, {
+    id: event.id,
+    type: event.type,
+    payload: event,
+    status: "processing",
+    attempts: 1,
+    receivedAt: "2020-01-01T00:00:00.000Z",
+    processingStartedAt: "2020-01-01T00:00:00.000Z",
+  });
+
+  const res = await sendEvent(event);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.duplicate, false);
+  assert.equal(await getCreditBalance("user_stale"), 60);
+  assert.equal((await stripeEvents.get(event.id)).attempts, 2);
+});
+
+test("a fresh processing claim is still treated as in flight", async () => {
+  const event = fixtureEvent("evt_inflight", "invoice.paid", { id: "in_inflight" });
+  await stripeEvents.set(event.id, {
+    id: event.id,
+    type: event.type,
+    payload: event,
+    status: "processing",
+    attempts: 1,
+    receivedAt: new Date().toISOString(),
+    processingStartedAt: new Date().toISOString(),
+  });
+
+  const res = await sendEvent(event);
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, "event_in_progress");
+  assert.equal((await stripeEvents.get(event.id)).attempts, 1);
+});
+
+test("admin replay re-runs a stored event without granting twice", async () => {
+  const headers = { "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN };
+  const res = await fetch(`${baseUrl}/stripe/events/evt_pack_1/replay`, { method: "POST", headers });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.replayed, true);
+  assert.equal(await getCreditBalance("user_pack"), 110);
+  assert.equal((await stripeEvents.get("evt_pack_1")).attempts, 2);
+});
+
+test("admin routes answer 401 (not a crash) for a multibyte token of the right length", async () => {
+  const token = "é".repeat(process.env.LMX_ADMIN_TOKEN.length);
+  const res = await fetch(`${baseUrl}/stripe/events`, { headers: { "x-lmx-admin-token": token } });
+  assert.equal(res.status, 401);
+
+  const ok = await fetch(`${baseUrl}/stripe/events`, {
+    headers: { "x-lmx-admin-token": process.env.LMX_ADMIN_TOKEN },
+  });
+  assert.equal(ok.status, 200);
+});
@@ -0,0 +1,170 @@
+// Style presets: create, versioned updates, team sharing, soft delete and
+// owner-only access.
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_JWT_SECRET = "jwt-fixture-secret";
+
+// Server logs go to stderr: Node 20's runner can misread them on stdout (see shares.test.js).
+console.log = console.error;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+function bearerFor(sub, teamId) {
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const claims = { sub, exp: Math.floor(Date.now() / 1000) + 3600, ...(teamId ? { team_id: teamId } : {}) };
+  const input = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto.createHmac("sha256", process.env.LMX_JWT_SECRET).update(input).digest("base64url");
+  return `Bearer ${input}.${signature}`;
+}
+
+// `user` is a user id or [userId, teamId].
+async function call(method, url, { user, body } = {}) {
+  const headers = {};
+  if (user) headers.authorization = Array.isArray(user) ? bearerFor(...user) : bearerFor(user);
+  if (body) headers["content-type"] = "application/json";
+  const res = await fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+test("guests are asked to sign in for presets", async () => {
+  const res = await call("POST", "/lmx1/styles", { body: { key: "house", description: "soft pastel" } });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error, "login_required");
+  assert.equal(res.body.message, "Sign in to use style presets.");
+});
+
+test("a created preset is listed first and shadows the built-in with the same key", async () => {
+  const created = await call("POST", "/lmx1/styles", {
+    user: "user_styles",
+    body: { key: "Anime", description: "flat watercolor anime", ratio: "16x9" },
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.key, "anime");
+  assert.equal(created.body.name, "anime");
+  assert.equal(created.body.version, 1);
+  assert.equal(created.body.ratio, "16:9");
+  assert.equal(created.body.source, "user");
+
+  const { styles } = (await call("GET", "/lmx1/styles", { user: "user_styles" })).body;
+  const anime = styles.filter((style) => style.key === "anime");
+  assert.deepEqual(
+    anime.map((style) => [style.source, style.shadowed]),
+    [
+      ["user", false],
+      ["builtin", true],
+    ]
+  );
+
+  const duplicate = await call("POST", "/lmx1/styles", {
+    user: "user_styles",
+    body: { key: "anime", description: "again" },
+  });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error, "style_preset_exists");
+});
+
+test("invalid keys and fields are a 400", async () => {
+  const badKey = await call("POST", "/lmx1/styles", { user: "user_styles", body: { key: "a", description: "x" } });
+  assert.equal(badKey.body.error, "invalid_style_preset");
+
+  const noDescription = await call("POST", "/lmx1/styles", { user: "user_styles", body: { key: "empty" } });
+  assert.equal(noDescription.status, 400);
+
+  const badRatio = await call("POST", "/lmx1/styles", {
+    user: "user_styles",
+    body: { key: "tall", description: "x", ratio: "9:1" },
+  });
+  assert.equal(badRatio.body.error, "invalid_ratio");
+});
+
+test("updates bump the version and keep the previous fields in history", async () => {
+  const { body: preset } = await call("POST", "/lmx1/styles", {
+    user: "user_versions",
+    body: { key: "brand", description: "navy and gold" },
+  });
+
+  const updated = await call("PATCH", `/lmx1/styles/${preset.id}`, {
+    user: "user_versions",
+    body: { description: "navy and silver", negative: "neon" },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.version, 2);
+  assert.equal(updated.body.description, "navy and silver");
+
+  const unchanged = await call("PATCH", `/lmx1/styles/${preset.id}`, {
+    user: "user_versions",
+    body: { description: "navy and silver" },
+  });
+  assert.equal(unchanged.body.version, 2);
+
+  const { body: full } = await call("GET", `/lmx1/styles/${preset.id}`, { user: "user_versions" });
+  assert.equal(full.history.length, 1);
+  assert.equal(full.history[0].version, 1);
+  assert.equal(full.history[0].description, "navy and gold");
+  assert.equal(full.history[0].negative, null);
+});
+
+test("team presets are shared with the team and hidden from everyone else", async () => {
+  const { body: preset } = await call("POST", "/lmx1/styles", {
+    user: ["user_lead", "team_blue"],
+    body: { key: "team-look", description: "matte blue", scope: "team" },
+  });
+  assert.equal(preset.source, "team");
+
+  const edited = await call("PATCH", `/lmx1/styles/${preset.id}`, {
+    user: ["user_member", "team_blue"],
+    body: { description: "matte teal" },
+  });
+  assert.equal(edited.body.version, 2);
+  assert.equal(edited.body.updatedBy, "user_member");
+
+  assert.equal((await call("GET", `/lmx1/styles/${preset.id}`, { user: "user_outsider" })).status, 404);
+  assert.equal((await call("PATCH", `/lmx1/styles/${preset.id}`, { user: "user_outsider", body: { name: "x" } })).status, 404);
+
+  const noTeam = await call("POST", "/lmx1/styles", {
+    user: "user_outsider",
+    body: { key: "mine", description: "x", scope: "team" },
+  });
+  assert.equal(noTeam.status, 403);
+  assert.equal(noTeam.body.error, "no_team");
+});
+
+test("a deleted preset disappears for its owner only, and its key can be reused", async () => {
+  const { body: preset } = await call("POST", "/lmx1/styles", {
+    user: "user_delete",
+    body: { key: "retro", description: "70s film" },
+  });
+
+  assert.equal((await call("DELETE", `/lmx1/styles/${preset.id}`, { user: "user_other" })).status, 404);
+
+  const deleted = await call("DELETE", `/lmx1/styles/${preset.id}`, { user: "user_delete" });
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(deleted.body, { deleted: true, id: preset.id });
+
+  assert.equal((await call("GET", `/lmx1/styles/${preset.id}`, { user: "user_delete" })).status, 404);
+  const { styles } = (await call("GET", "/lmx1/styles", { user: "user_delete" })).body;
+  assert.equal(styles.some((style) => style.id === preset.id), false);
+
+  const again = await call("POST", "/lmx1/styles", {
+    user: "user_delete",
+    body: { key: "retro", description: "80s film" },
+  });
+  assert.equal(again.status, 201);
+  assert.notEqual(again.body.id, preset.id);
+});
@@ -0,0 +1,73 @@
+// Upscale with the local (sharp) upscaler: output size, ratio validation and plan limits.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.LMX_STORE_DRIVER = "memory";
+process.env.STRIPE_SECRET_KEY = "sk_test_fixture";
+process.env.OPENAI_API_KEY = "sk-test";
+process.env.OPENAI_BASE_URL = "http://127.0.0.1:9/v1";
+process.env.LMX_UPSCALER = "local";
+process.env.LMX_MEDIA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "lmx-media-"));
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { app } = require("../LMX_AI_Generator_final_server");
+
+let server;
+let baseUrl;
+let imageBase64;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const source = await sharp({ create: { width: 40, height: 30, channels: 3, background: "#884422" } })
+    .png()
+    .toBuffer();
+  imageBase64 = source.toString("base64");
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.LMX_MEDIA_DIR, { recursive: true, force: true });
+});
+
+async function upscale(fields) {
+  const res = await fetch(`${baseUrl}/lmx1/upscale`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ imageBase64, returnBase64: true, ...fields }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test("a 2x upscale doubles both sides and echoes the normalised ratio", async () => {
+  const res = await upscale({ scale: 2, ratio: "4x3" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.ratio, "4:3");
+  assert.equal(res.body.scale, 2);
+
+  const meta = await sharp(Buffer.from(res.body.base64, "base64")).metadata();
+  assert.equal(meta.width, 80);
+  assert.equal(meta.height, 60);
+});
+
+test("a malformed or non-string ratio is a 400", async () => {
+  for (const ratio of ["wide", "9:1", 16, { w: 1 }]) {
+    const res = await upscale({ ratio });
+    assert.equal(res.status, 400, `ratio ${JSON.stringify(ratio)}`);
+    assert.equal(res.body.error, "invalid_ratio");
+  }
+});
+
+test("unknown factors and factors above the plan are refused", async () => {
+  assert.equal((await upscale({ scale: 3 })).body.error, "invalid_scale");
+
+  const res = await upscale({ scale: 4 });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, "scale_not_allowed");
+  assert.equal(res.body.maxScale, 2);
+});